@@ -0,0 +1,6 @@
+import FrameBridgeHost from './src/FrameBridgeHost';
+
+// Host side of the bridge is exported separately because it needs to be
+// included in the pages that embed cross-origin frames, even if those
+// pages don't use IntersectionObserver on their own.
+export default FrameBridgeHost;
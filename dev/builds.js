@@ -40,4 +40,20 @@ builds.prodGlobal = _.merge({}, builds.production, {
     }
 });
 
+builds.prodBridge = _.merge({}, builds.production, {
+    entry: './bridge.js',
+    output: {
+        library: 'IntersectionObserverBridge',
+        filename: 'IntersectionObserverBridge.js'
+    }
+});
+
+builds.prodTesting = _.merge({}, builds.production, {
+    entry: './testing.js',
+    output: {
+        library: 'IntersectionObserverTesting',
+        filename: 'IntersectionObserverTesting.js'
+    }
+});
+
 module.exports = builds;
\ No newline at end of file
@@ -16,7 +16,11 @@ function createWebpackCallback(callback) {
     };
 }
 
-gulp.task('build:production', ['build:production:global'], callback => {
+gulp.task('build:production', [
+    'build:production:global',
+    'build:production:bridge',
+    'build:production:testing'
+], callback => {
     webpack(builds.production, createWebpackCallback(callback));
 });
 
@@ -24,6 +28,14 @@ gulp.task('build:production:global', callback => {
     webpack(builds.prodGlobal, createWebpackCallback(callback));
 });
 
+gulp.task('build:production:bridge', callback => {
+    webpack(builds.prodBridge, createWebpackCallback(callback));
+});
+
+gulp.task('build:production:testing', callback => {
+    webpack(builds.prodTesting, createWebpackCallback(callback));
+});
+
 gulp.task('test', callback => {
     new Server({
         configFile: __dirname + '/karma.config.js'
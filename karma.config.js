@@ -5,7 +5,9 @@ module.exports = function (config) {
         singleRun: true,
         frameworks: ['jasmine'],
         files: [
-            'tests/**/*.spec.js'
+            'tests/**/*.spec.js',
+            // Loaded by frames of the tests of nested browsing contexts.
+            {pattern: 'tests/fixtures/polyfill.js', included: false}
         ],
         plugins: [
             webpack,
@@ -35,6 +37,7 @@ module.exports = function (config) {
         },
         preprocessors: {
             'tests/**/*.spec.js': ['webpack'],
+            'tests/fixtures/polyfill.js': ['webpack'],
             'src/**/*.js': ['webpack']
         },
         webpack: require('./dev/builds').general,
@@ -0,0 +1,8 @@
+// Built-in schedulers that can be assigned to the "scheduler"
+// static property of polyfilled IntersectionObserver.
+export {
+    createFrameScheduler,
+    createIdleScheduler,
+    createIntervalScheduler,
+    createManualScheduler
+} from './src/schedulers';
@@ -0,0 +1,209 @@
+import {Map} from './shims/es6-collections';
+import {getRectangle, isEqual, translateRectangle} from './geometry';
+import {clipByFrames, getIntersection} from './intersection';
+import {containsNode} from './dom';
+import {getFrameContentRect, getFrameElement, getTopDocument} from './frames';
+import {SUBSCRIBE, UNSUBSCRIBE, VIEWPORT, createMessage, parseMessage} from './bridgeMessages';
+import IntersectionObserverController from './IntersectionObserverController';
+
+/**
+ * Finds frame element of the current document
+ * whose content window is the provided one.
+ *
+ * @param {Window} win
+ * @returns {Element|null}
+ */
+function findFrame(win) {
+    const frames = document.querySelectorAll('iframe, frame');
+
+    for (let i = 0; i < frames.length; i++) {
+        if (frames[i].contentWindow === win) {
+            return frames[i];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Computes visible part of frames' viewport, i.e. its' content box clipped
+ * by the containing block chain of frame and by the top-level viewport.
+ *
+ * @param {Element} frame
+ * @returns {ClientRect|null} Rectangle in the coordinate space of frames'
+ *      document or null if no part of the viewport is visible.
+ */
+function getFrameViewportRect(frame) {
+    const docElement = document.documentElement;
+
+    if (!containsNode(docElement, frame)) {
+        return null;
+    }
+
+    const contentRect = getFrameContentRect(frame);
+
+    let rect = getIntersection(docElement, frame, getRectangle(docElement), contentRect);
+
+    // Host document may be embedded in same-origin frames as well.
+    if (getFrameElement(window)) {
+        rect = clipByFrames(rect, getRectangle(getTopDocument().documentElement));
+    }
+
+    if (rect.width <= 0 || rect.height <= 0) {
+        return null;
+    }
+
+    return translateRectangle(rect, -contentRect.left, -contentRect.top);
+}
+
+/**
+ * Tells whether two viewport rectangles are equal. Both of them might be null.
+ *
+ * @param {ClientRect|null} first
+ * @param {ClientRect|null} second
+ * @returns {Boolean}
+ */
+function isSameViewport(first, second) {
+    if (!first || !second) {
+        return first === second;
+    }
+
+    return isEqual(first, second);
+}
+
+/**
+ * Host side of the bridge that lets IntersectionObservers of cross-origin frames
+ * compute intersections with the top-level viewport. Frames subscribe to updates
+ * by posting messages to the host which replies with the visible part of
+ * frames' viewport whenever it changes, e.g. when host document is scrolled.
+ *
+ * Changes are tracked by a separate IntersectionObserverController instance, to
+ * which bridge is connected in the same manner as IntersectionObservers are.
+ */
+export default class FrameBridgeHost {
+    /**
+     * Creates new instance of FrameBridgeHost and starts listening to subscriptions.
+     *
+     * @param {Array<String>} [origins] - Origins of frames that are allowed to
+     *      subscribe. Frames of any origin are accepted if it's not specified.
+     * @param {IntersectionObserverController} [controller] - Controller that tracks changes.
+     */
+    constructor(origins, controller = new IntersectionObserverController()) {
+        if (origins != null && !Array.isArray(origins)) {
+            throw new TypeError('parameter 1 is not an array.');
+        }
+
+        this._origins = origins || null;
+
+        // Registry of subscribed frames and
+        // rectangles that were reported to them.
+        this._frames = new Map();
+
+        // A list of queued messages in a form of [frame, origin, rect].
+        this._quedMessages = [];
+
+        this._onMessage = this._onMessage.bind(this);
+
+        this.controller = controller;
+
+        window.addEventListener('message', this._onMessage);
+    }
+
+    /**
+     * Stops listening to subscriptions and removes all of the subscribed frames.
+     */
+    disconnect() {
+        window.removeEventListener('message', this._onMessage);
+
+        this._frames.clear();
+        this.controller.disconnect(this);
+    }
+
+    /**
+     * Computes viewport rectangles of subscribed frames
+     * and queues messages for the changed ones.
+     *
+     * @returns {Boolean} Returns "true" if any of the rectangles has changed.
+     */
+    updateObservations() {
+        let hasChanges = false;
+
+        this._frames.forEach((subscription, frame) => {
+            const rect = getFrameViewportRect(frame);
+
+            if (subscription.reported && isSameViewport(rect, subscription.rect)) {
+                return;
+            }
+
+            subscription.rect = rect;
+            subscription.reported = true;
+
+            this._quedMessages.push([frame, subscription.origin, rect]);
+
+            hasChanges = true;
+        });
+
+        return hasChanges;
+    }
+
+    /**
+     * Tells whether bridge has queued messages.
+     *
+     * @returns {Boolean}
+     */
+    hasEntries() {
+        return !!this._quedMessages.length;
+    }
+
+    /**
+     * Posts queued messages to frames.
+     */
+    notifySubscriber() {
+        for (const [frame, origin, rect] of this._quedMessages.splice(0)) {
+            const win = frame.contentWindow;
+
+            // Frame might have been removed from the document.
+            if (win) {
+                win.postMessage(createMessage(VIEWPORT, {rect}), origin);
+            }
+        }
+    }
+
+    /**
+     * Handles subscription messages of frames.
+     *
+     * @private
+     * @param {MessageEvent} event
+     */
+    _onMessage(event) {
+        const message = parseMessage(event.data);
+        const origins = this._origins;
+
+        if (!message || origins && !~origins.indexOf(event.origin)) {
+            return;
+        }
+
+        const frame = findFrame(event.source);
+
+        if (!frame) {
+            return;
+        }
+
+        if (message.type === SUBSCRIBE) {
+            // Sandboxed frames have an opaque origin
+            // and can be reached only by using a wildcard.
+            const origin = event.origin === 'null' ? '*' : event.origin;
+
+            this._frames.set(frame, {origin, rect: null, reported: false});
+
+            this.controller.connect(this);
+            this.controller.startUpdateCycle();
+        } else if (message.type === UNSUBSCRIBE) {
+            this._frames.delete(frame);
+
+            if (!this._frames.size) {
+                this.controller.disconnect(this);
+            }
+        }
+    }
+}
@@ -1,76 +1,77 @@
 import now from './shims/performance.now';
-import {getArea, getRectangle, createRectangle, isEmpty, isEqual}  from './geometry';
+import {applyMargins, containsRect, getArea, getRectangle, getUnion, createRectangle, isEqual}  from './geometry';
+import {clipByAncestors, clipByFrames, computeIntersection, getIntersection} from './intersection';
+import {containsNode, getTargetElement, isRange} from './dom';
+import {getFrameElement} from './frames';
+import {getLayoutData} from './layoutCache';
+import {Map} from './shims/es6-collections';
+import {isVisible} from './visibility';
 import IntersectionObserverEntry from './IntersectionObserverEntry';
 
 const emptyRect = createRectangle();
 
 /**
- * Tells whether target is a descendant of container element
- * and that both of them are present in DOM.
+ * Leaves out rectangles that are contained in other ones. Client rects
+ * of a range include both the border boxes of selected elements and
+ * the boxes of text inside of them, which would be counted twice.
  *
- * @param {Element} container - Container element.
- * @param {Element} target - Target element.
- * @returns {Boolean}
+ * @param {Array<ClientRect>} rects
+ * @returns {Array<ClientRect>}
  */
-function isDetached(container, target) {
-    const docElement = document.documentElement;
+function excludeContainedRects(rects) {
+    return rects.filter((rect, index) => !rects.some((other, otherIndex) => {
+        if (otherIndex === index || !containsRect(other, rect)) {
+            return false;
+        }
 
-    return (
-        container !== docElement && !docElement.contains(container) ||
-        !container.contains(target)
-    );
+        // Only the first one of equal rectangles is kept.
+        return otherIndex < index || !isEqual(other, rect);
+    }));
 }
 
+// Margins that grow rectangle of root by its' own size in each direction.
+// Targets that intersect with such area are considered to be near the root.
+const nearbyMargins = [0, 1, 2, 3].map(() => ({value: 1, pixels: false}));
+
+// Indicates whether the "delay" option of observers is ignored,
+// e.g. by the testing module. See "setDelaysIgnored" function.
+let delaysIgnored = false;
+
 /**
- * Computes intersection rectangle between two rectangles.
+ * Makes observations ignore the "delay" option of theirs' observers, so that
+ * each update computes intersections regardless of the time of previous one.
  *
- * @param {ClientRect} rootRect - Rectangle of container element.
- * @param {ClientRect} targetRect - Rectangle of target element.
- * @returns {ClientRect} Intersection rectangle.
+ * @param {Boolean} value
  */
-function computeIntersection(rootRect, targetRect) {
-    const left      = Math.max(targetRect.left, rootRect.left);
-    const right     = Math.min(targetRect.right, rootRect.right);
-    const top       = Math.max(targetRect.top, rootRect.top);
-    const bottom    = Math.min(targetRect.bottom, rootRect.bottom);
-
-    const width = right - left;
-    const height = bottom - top;
-
-    return createRectangle(left, top, width, height);
+export function setDelaysIgnored(value) {
+    delaysIgnored = value;
 }
 
 /**
- * Finds intersection rectangle of provided elements.
+ * Tells whether target is not a descendant of container element
+ * or if any of them is not present in DOM. Descendants
+ * of shadow trees are resolved via the composed tree.
+ *
+ * Container is looked up in its' own document so that
+ * viewports of other documents might be used as well.
+ *
+ * Ranges are considered to be detached when they are collapsed.
  *
  * @param {Element} container - Container element.
- * @param {Element} target - Target element.
- * @param {ClientRect} targetRect - Rectangle of target element.
- * @param {ClientRect} containterRect - Rectangle of container element.
+ * @param {(Element|Range|VirtualTarget)} target - Target element, range or virtual target.
+ * @returns {Boolean}
  */
-function getIntersection(container, target, containterRect, targetRect) {
-    let intersecRect    = targetRect,
-        parent          = target.parentNode,
-        rootReached     = false;
-
-    while (!rootReached) {
-        let parentRect = null;
-
-        if (parent === container || parent.nodeType !== 1) {
-            rootReached = true;
-            parentRect = containterRect;
-        } else if (window.getComputedStyle(parent).overflow !== 'visible') {
-            parentRect = getRectangle(parent);
-        }
-
-        if (parentRect) {
-            intersecRect = computeIntersection(intersecRect, parentRect);
-        }
+function isDetached(container, target) {
+    const docElement = container.ownerDocument.documentElement;
 
-        parent = parent.parentNode;
+    if (isRange(target) && target.collapsed) {
+        return true;
     }
 
-    return intersecRect;
+    return (
+        container !== docElement && !containsNode(docElement, container) ||
+        !containsNode(container, getTargetElement(target))
+    );
 }
 
 /**
@@ -82,7 +83,7 @@ export default class IntersectionObservation {
     /**
      * Creates instance of IntersectionObservation.
      *
-     * @param {Element} target - Element being observed.
+     * @param {(Element|Range|VirtualTarget)} target - Element, range or virtual target being observed.
      * @param {IntersectionObserver} observer - Associated IntersectionObserver.
      */
     constructor(target, observer) {
@@ -90,13 +91,73 @@ export default class IntersectionObservation {
         this.observer = observer;
 
         this.prevTargetRect = emptyRect;
-        this.prevThreshold = 0;
+
+        // Threshold index is set to "-1" so that the first update
+        // always queues an entry, no matter whether the target
+        // intersects with its root or not. This is what the spec
+        // guarantees for each newly observed target.
+        this.prevThreshold = -1;
+        this.prevIsIntersecting = false;
+        this.prevIsVisible = false;
         this.prevRatio = 0;
+
+        // Time of the last update. It's used to throttle
+        // updates according to observers' "delay" option.
+        this.prevUpdateTime = -1;
+    }
+
+    /**
+     * Tells whether the update of intersection data needs to be postponed
+     * because observers' delay hasn't passed since the previous one.
+     * It's never postponed if delays are ignored.
+     *
+     * @param {Timestamp} time - Time of the current update.
+     * @returns {Boolean}
+     */
+    isDelayed(time) {
+        return (
+            !delaysIgnored &&
+            this.prevUpdateTime !== -1 &&
+            time - this.prevUpdateTime < this.observer.delay
+        );
     }
 
     /**
-     * Updates intersection data. Creates and queues new
-     * IntersectionObserverEntry if intersection threshold has changed.
+     * Returns time when the delay that postpones the next update of observation ends.
+     *
+     * @returns {Timestamp}
+     */
+    getDelayEnd() {
+        return this.prevUpdateTime + this.observer.delay;
+    }
+
+    /**
+     * Tells how urgent the update of observation is when
+     * updates are spread across multiple frames.
+     *
+     * @param {ClientRect|null} rootRect - Rectangle of root as it is used by observer.
+     * @returns {Number} One of the following values:
+     *      0 - target was intersecting with root or it wasn't updated yet;
+     *      1 - target was near the root, i.e. within the distance of roots' size;
+     *      2 - any other target.
+     */
+    getPriority(rootRect) {
+        if (this.prevIsIntersecting || this.prevUpdateTime === -1) {
+            return 0;
+        }
+
+        if (!rootRect) {
+            return 2;
+        }
+
+        const nearbyRect = computeIntersection(applyMargins(rootRect, nearbyMargins), this.prevTargetRect);
+
+        return nearbyRect.width >= 0 && nearbyRect.height >= 0 ? 1 : 2;
+    }
+
+    /**
+     * Updates intersection data. Creates and queues new IntersectionObserverEntry
+     * if either intersection threshold, "isIntersecting" or "isVisible" state has changed.
      *
      * @param {Object} root - Element for which to compute intersection.
      * @param {ClientRect} rootRect - Rectangle of root element.
@@ -104,35 +165,54 @@ export default class IntersectionObservation {
      *  {
      *      ratioChanged: boolean,
      *      targetRectChanged: boolean,
-     *      thresholdChanged: boolean
+     *      thresholdChanged: boolean,
+     *      isDelayed: boolean
      *  }
      */
     updateIntersection(root, rootRect) {
-        let targetRect          = getRectangle(this.target),
+        const time = now();
+
+        if (this.isDelayed(time)) {
+            return {
+                ratioChanged: false,
+                targetRectChanged: false,
+                thresholdChanged: false,
+                isDelayed: true
+            };
+        }
+
+        let targetRect          = getLayoutData(this.target, 'rect', () => getRectangle(this.target)),
             intersection        = this.getIntersectionData(root, rootRect, targetRect),
-            threshold           = +intersection.exists,
+            threshold           = 0,
+            visible             = false,
             ratioChanged        = intersection.ratio !== this.prevRatio,
             targetRectChanged   = !isEqual(targetRect, this.prevTargetRect),
             thresholdChanged;
 
-        // Find thresholds' index if intersection
-        // and target rectangles are not empty.
-        if (intersection.exists && !isEmpty(targetRect)) {
+        // Find thresholds' index only if target intersects with root,
+        // otherwise it's always equal to "0".
+        if (intersection.exists) {
             threshold = this.observer.getThresholdGreaterThan(intersection.ratio);
         }
 
-        thresholdChanged = threshold !== this.prevThreshold;
+        // Visibility is computed only for intersecting
+        // targets of observers that requested it.
+        if (intersection.exists && this.observer.trackVisibility) {
+            visible = isVisible(this.target, intersection.rect);
+        }
+
+        thresholdChanged =
+            threshold !== this.prevThreshold ||
+            intersection.exists !== this.prevIsIntersecting ||
+            visible !== this.prevIsVisible;
 
         // Update cached properties.
         this.prevTargetRect = targetRect;
         this.prevThreshold = threshold;
+        this.prevIsIntersecting = intersection.exists;
+        this.prevIsVisible = visible;
         this.prevRatio = intersection.ratio;
-
-        // Create an empty rectangle if there is no intersection.
-        if (!intersection.exists) {
-            intersection.ratio = 0;
-            intersection.rect = emptyRect;
-        }
+        this.prevUpdateTime = time;
 
         // Create and queue new entry if threshold has changed.
         if (thresholdChanged) {
@@ -142,26 +222,168 @@ export default class IntersectionObservation {
                 intersection.rect,
                 intersection.ratio,
                 rootRect,
-                now()
+                time,
+                intersection.exists,
+                visible
             );
 
             this.observer.queueEntry(entry);
         }
 
-        return {ratioChanged, thresholdChanged, targetRectChanged};
+        return {ratioChanged, thresholdChanged, targetRectChanged, isDelayed: false};
+    }
+
+    /**
+     * Returns rectangles that will be used to compute intersection of target.
+     * By default it's the bounding rectangle of target, while observers that
+     * measure fragments use each of the boxes of target, e.g. lines of
+     * an inline element that wraps across multiple lines. Boxes of ranges
+     * that are contained in other ones, e.g. text of selected elements, are
+     * left out.
+     *
+     * @param {ClientRect} targetRect - Bounding rectangle of target.
+     * @returns {Array<ClientRect>}
+     */
+    getFragments(targetRect) {
+        if (!this.observer.measureFragments) {
+            return [targetRect];
+        }
+
+        let rects = Array.prototype.slice.call(this.target.getClientRects());
+
+        if (isRange(this.target)) {
+            rects = excludeContainedRects(rects);
+        }
+
+        return rects.length > 1 ? rects : [targetRect];
+    }
+
+    /**
+     * Tells whether intersection of target is computed against the viewport
+     * of current document first and then is clipped by parent frames.
+     * This is the case for implicit root of documents inside of frames,
+     * which is the viewport of the top-level document.
+     *
+     * @private
+     * @returns {Boolean}
+     */
+    crossesFrames() {
+        return !this.observer.root && !!getFrameElement(window);
+    }
+
+    /**
+     * Computes the part of geometry of target that doesn't depend on
+     * margins of root: rectangles of its' fragments clipped by ancestors
+     * of target. During a pass of updates it's computed once for all
+     * observers that share both the root and the target.
+     *
+     * @private
+     * @param {Element} container - Container element.
+     * @param {ClientRect} targetRect
+     * @returns {Array<Object>} A list of fragments of the following shape:
+     *  {
+     *      area: number - Area of the unclipped fragment,
+     *      rect: ClientRect|null - Clipped rectangle of fragment.
+     *  }
+     */
+    getSharedFragments(container, targetRect) {
+        const observer = this.observer;
+        const crossesFrames = this.crossesFrames();
+        const key = [
+            'fragments',
+            crossesFrames ? 'frames' : '',
+            observer.measureFragments ? 'boxes' : '',
+            observer.getScrollMargins() ? observer.scrollMargin : ''
+        ].join(' ');
+
+        // Fragments are grouped by containers of targets.
+        const groups = getLayoutData(this.target, key, () => new Map());
+
+        if (!groups.has(container)) {
+            groups.set(container, this.computeFragments(container, targetRect, crossesFrames));
+        }
+
+        return groups.get(container);
+    }
+
+    /**
+     * Measures fragments of target and clips them by ancestors of target.
+     *
+     * @private
+     * @param {Element} container - Container element.
+     * @param {ClientRect} targetRect
+     * @param {Boolean} crossesFrames
+     * @returns {Array<Object>} See "getSharedFragments" method.
+     */
+    computeFragments(container, targetRect, crossesFrames) {
+        const target = this.target;
+        const scrollMargins = this.observer.getScrollMargins();
+
+        if (isDetached(container, target)) {
+            return [];
+        }
+
+        return this.getFragments(targetRect).map(fragment => {
+            // Viewport of current document doesn't depend on margins of the
+            // top-level root, so it's applied along with the ancestors.
+            const rect = crossesFrames ?
+                getIntersection(container, target, getRectangle(container), fragment, scrollMargins) :
+                clipByAncestors(container, target, fragment, scrollMargins);
+
+            return {area: getArea(fragment), rect};
+        });
+    }
+
+    /**
+     * Clips provided rectangle of target (or of one of its' fragments),
+     * that is already clipped by ancestors of target, by the container.
+     *
+     * @private
+     * @param {ClientRect} containterRect
+     * @param {ClientRect|null} rect - Rectangle to be clipped.
+     * @returns {ClientRect|null} Returns null if rectangle doesn't intersect with container.
+     */
+    clipFragment(containterRect, rect) {
+        let remoteRect      = this.observer.getRemoteViewportRect(),
+            intersecRect    = rect;
+
+        if (!intersecRect) {
+            return null;
+        }
+
+        intersecRect = this.crossesFrames() ?
+            clipByFrames(intersecRect, containterRect, this.observer.getScrollMargins()) :
+            computeIntersection(intersecRect, containterRect);
+
+        // Viewport of the cross-origin parent document is
+        // clipped by the host side of frame bridge.
+        if (remoteRect) {
+            intersecRect = computeIntersection(intersecRect, remoteRect);
+        }
+
+        if (intersecRect.width < 0 || intersecRect.height < 0) {
+            return null;
+        }
+
+        return intersecRect;
     }
 
     /**
-     * Computes intersection data.
+     * Computes intersection data. If target consists of multiple fragments,
+     * then the ratio is computed from the sum of intersecting areas of
+     * fragments and the rectangle is the union of theirs' intersections.
      *
      * @param {Element} container - Container element.
      * @param {ClientRect} [containterRect]
      * @param {ClientRect} [targetRect]
-     * @returns {Object}
+     * @returns {Object} An object of the following shape:
+     *  {
+     *      rect: ClientRect,
+     *      ratio: number,
+     *      exists: boolean - Equals to the "isIntersecting" value of entry.
+     *  }
      */
     getIntersectionData(container, containterRect, targetRect) {
-        const target = this.target;
-
         if (!targetRect) {
             targetRect = getRectangle(this.target);
         }
@@ -170,10 +392,35 @@ export default class IntersectionObservation {
             containterRect = getRectangle(container);
         }
 
-        let detached        = isDetached(container, target),
-            intersecRect    = !detached ? getIntersection(container, target, containterRect, targetRect) : emptyRect,
-            intersects      = !detached && intersecRect.width >= 0 && intersecRect.height >= 0,
-            intersecRatio   = getArea(intersecRect) / getArea(targetRect) || 0;
+        let fragments       = this.getSharedFragments(container, targetRect),
+            intersecRect    = null,
+            targetArea      = 0,
+            intersecArea    = 0,
+            intersecRatio   = 0;
+
+        for (const fragment of fragments) {
+            const rect = this.clipFragment(containterRect, fragment.rect);
+
+            targetArea += fragment.area;
+
+            if (rect) {
+                intersecArea += getArea(rect);
+                intersecRect = intersecRect ? getUnion(intersecRect, rect) : rect;
+            }
+        }
+
+        const intersects = !!intersecRect;
+
+        if (!intersects) {
+            // Use an empty rectangle if there is no intersection.
+            intersecRect = emptyRect;
+        } else if (targetArea) {
+            intersecRatio = intersecArea / targetArea;
+        } else {
+            // Zero-area targets are considered to be
+            // fully visible when they intersect with root.
+            intersecRatio = 1;
+        }
 
         return {
             rect: intersecRect,
@@ -1,10 +1,7 @@
 import {WeakMap} from './shims/es6-collections';
-import IntersectionObserverController from './IntersectionObserverController';
+import controller from './defaultController';
 import _IntersectionObserver from './_IntersectionObserver';
 
-// This controllers' instance will be assigned to all IntersectionObservers
-const controller = new IntersectionObserverController();
-
 // Registry of internal observers.
 const observers = new WeakMap();
 
@@ -12,8 +9,8 @@ const observers = new WeakMap();
  * IntersectionObservers' "Proxy" class which is meant to hide private
  * properties and methods from IntersectionObserver instances.
  *
- * Additionally it implements "idleTimeout" and "trackHovers" static property
- * accessors to give a control over the behavior of IntersectionObserverController
+ * Additionally it implements "idleTimeout", "scheduler", "trackHovers", "visualViewport" and "frameBridge"
+ * static property accessors to give a control over the behavior of IntersectionObserverController
  * instance. Changes made to these properties will affect both future and
  * existing instances of IntersectionObserver.
  */
@@ -34,9 +31,13 @@ class IntersectionObserver {
         // Due to the spec following properties are non-writable
         // and in native implementation they are also not enumerable.
         Object.defineProperties(this, {
-            root:       {value: observer.root},
-            thresholds: {value: observer.thresholds},
-            rootMargin: {value: observer.rootMargin}
+            root:               {value: observer.root},
+            thresholds:         {value: observer.thresholds},
+            rootMargin:         {value: observer.rootMargin},
+            scrollMargin:       {value: observer.scrollMargin},
+            trackVisibility:    {value: observer.trackVisibility},
+            delay:              {value: observer.delay},
+            measureFragments:   {value: observer.measureFragments}
         });
 
         // Register internal observer.
@@ -69,6 +70,66 @@ class IntersectionObserver {
         controller.idleTimeout = value;
     }
 
+    /**
+     * Starts update cycle of observers, e.g. after changes of layout
+     * that can't be detected automatically.
+     *
+     * @param {Number} [idleTimeout] - Idle timeout of the cycle. It's used only
+     *      if it's greater than the default one (see "idleTimeout" property).
+     */
+    static checkNow(idleTimeout) {
+        controller.checkNow(idleTimeout);
+    }
+
+    /**
+     * Returns function that is used to request updates of observers.
+     *
+     * @returns {Function}
+     */
+    static get scheduler() {
+        return controller.scheduler;
+    }
+
+    /**
+     * Sets up new function that will be used to request updates of observers.
+     *
+     * @param {Function} value - New scheduler, e.g. one of the built-in schedulers.
+     */
+    static set scheduler(value) {
+        if (typeof value !== 'function') {
+            throw new TypeError('type of "scheduler" value must be a function.');
+        }
+
+        controller.scheduler = value;
+    }
+
+    /**
+     * Returns time in milliseconds that a single slice of updates may take.
+     *
+     * @returns {Number}
+     */
+    static get frameBudget() {
+        return controller.frameBudget;
+    }
+
+    /**
+     * Sets up time in milliseconds that a single slice of updates may take. If it's
+     * set, updates of observations are spread across multiple frames.
+     *
+     * @param {Number} value - New budget. Zero makes updates to be performed at once.
+     */
+    static set frameBudget(value) {
+        if (typeof value !== 'number' || !window.isFinite(value)) {
+            throw new TypeError('type of "frameBudget" value must be a number.');
+        }
+
+        if (value < 0) {
+            throw new TypeError('"frameBudget" value must not be negative.');
+        }
+
+        controller.frameBudget = value;
+    }
+
     /**
      * Tells whether controller tracks "hover" events.
      *
@@ -92,14 +153,66 @@ class IntersectionObserver {
             controller.enableHover() :
             controller.disableHover();
     }
+
+    /**
+     * Tells whether the visual viewport is used as the implicit root.
+     *
+     * @returns {Boolean}
+     */
+    static get visualViewport() {
+        return controller.isVisualViewportEnabled();
+    }
+
+    /**
+     * Switches the implicit root between the visual and the layout viewports.
+     *
+     * @param {Boolean} value - Whether to use the visual viewport.
+     */
+    static set visualViewport(value) {
+        if (typeof value !== 'boolean') {
+            throw new TypeError('type of "visualViewport" value must be a boolean.');
+        }
+
+        value ?
+            controller.enableVisualViewport() :
+            controller.disableVisualViewport();
+    }
+
+    /**
+     * Tells whether controller uses the bridge with
+     * the host side of cross-origin parent window.
+     *
+     * @returns {Boolean}
+     */
+    static get frameBridge() {
+        return controller.isFrameBridgeEnabled();
+    }
+
+    /**
+     * Enables or disables the bridge with the host side of cross-origin parent window.
+     *
+     * @param {Boolean} value - Whether to disable or enable the bridge.
+     */
+    static set frameBridge(value) {
+        if (typeof value !== 'boolean') {
+            throw new TypeError('type of "frameBridge" value must be a boolean.');
+        }
+
+        value ?
+            controller.enableFrameBridge() :
+            controller.disableFrameBridge();
+    }
 }
 
 // Expose public methods of IntersectionObserver.
 [
     'observe',
     'unobserve',
+    'observeVirtual',
+    'unobserveVirtual',
     'disconnect',
-    'takeRecords'
+    'takeRecords',
+    'checkNow'
 ].forEach(method => {
     IntersectionObserver.prototype[method] = function () {
         return observers.get(this)[method](...arguments);
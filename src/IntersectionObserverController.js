@@ -1,22 +1,28 @@
 import now from './shims/performance.now';
+import {Map} from './shims/es6-collections';
+import {createRectangle} from './geometry';
+import {getFrameElement, getParentWindows, getTopDocument} from './frames';
+import {SUBSCRIBE, UNSUBSCRIBE, VIEWPORT, createMessage, parseMessage} from './bridgeMessages';
+import {createFrameScheduler} from './schedulers';
+import {finishLayoutPass, startLayoutPass} from './layoutCache';
 
 const mutationsSupported = typeof window.MutationObserver === 'function';
+const resizeObserverSupported = typeof window.ResizeObserver === 'function';
 
-/**
- * A shim for requestAnimationFrame which falls back
- * to setTimeout if the first one is not supported.
- *
- * @returns {Number} Request identifier.
- */
-const requestAnimFrame = (function () {
-    if (window.requestAnimationFrame) {
-        return window.requestAnimationFrame;
-    }
+// Mutations that may lead to changes in position of elements.
+const mutationsConfig = {
+    attributes: true,
+    childList: true,
+    characterData: true,
+    subtree: true
+};
 
-    return callback => {
-        return setTimeout(() => callback(now()), 1000 / 60);
-    };
-})();
+// Rectangle that doesn't intersect with anything. It represents
+// viewport of a frame that is not visible in the host document.
+const hiddenViewportRect = createRectangle(0, 0, -1, -1);
+
+// Minimal time in milliseconds that a slice of updates may take.
+const minSliceBudget = 1;
 
 /**
  * Creates a wrapper function that ensures that
@@ -59,6 +65,29 @@ function debounce(callback, delay = 0) {
  *
  * Infinite update cycle along with a listener of "click" event will be used in case when
  * MutatioObserver is not supported.
+ *
+ * Mutations and scrolling inside of shadow trees don't reach the document, so shadow roots
+ * that contain targets are listened to separately (see "watchShadowRoot" method).
+ *
+ * Changes of size of targets and roots, e.g. the ones caused by loading of images or fonts,
+ * are tracked by means of ResizeObserver if it's supported. Each of them starts the update cycle,
+ * which ends without waiting for the idle timeout unless it was started by other changes as well.
+ *
+ * Updates are requested by means of scheduler function, which is based on
+ * animation frames by default (see schedulers module for other options).
+ *
+ * Each update is performed at once unless the frame budget is set up. In this case
+ * observations are updated in slices spread across multiple frames, starting from
+ * targets that intersect with or are near to theirs' roots, while entries are
+ * delivered once all of the slices are finished.
+ *
+ * Changes of the visual viewport, e.g. the ones caused by pinch-zoom or by the collapsing
+ * address bar of mobile browsers, are tracked only if the visual viewport is used as
+ * the implicit root. It can be enabled by invoking the "enableVisualViewport" method.
+ *
+ * Inside of cross-origin frames controller can optionally receive the visible part of
+ * frames' viewport from the host side of the bridge (see FrameBridgeHost). This feature
+ * is disabled by default and can be enabled by invoking the "enableFrameBridge" method.
  */
 export default class IntersectionObserverController {
     /**
@@ -67,15 +96,44 @@ export default class IntersectionObserverController {
      * @param {Number} [idleTimeout = 50]
      * @pram {Boolean} [trackHovers = false] - Whether to track "mouseover"
      *      events or not. Disabled be default.
+     * @param {Function} [scheduler] - Function that requests updates of observers
+     *      (see schedulers module). Animation frames are used by default.
      */
-    constructor(idleTimeout = 50, trackHovers = false) {
+    constructor(idleTimeout = 50, trackHovers = false, scheduler = createFrameScheduler()) {
         this._idleTimeout = idleTimeout;
         this._trackHovers = trackHovers;
+        this._scheduler = scheduler;
         this._cycleStartTime = -1;
 
+        // Idle timeout of the current cycle requested by the "checkNow" method.
+        this._cycleIdleTimeout = 0;
+
+        // Indicates whether the current cycle was started only by notifications
+        // of ResizeObserver. Such cycles don't wait for the idle timeout.
+        this._isResizeCycle = false;
+
         // Indicates whether the update of observers is scheduled.
         this._isUpdateScheduled = false;
 
+        // Indicates whether the scheduled update needs to recompute all of the
+        // observations and not only the ones that were affected by scrolling.
+        this._isFullUpdate = false;
+
+        // A list of elements that were scrolled since the last update.
+        this._scrolledElements = [];
+
+        // Time in milliseconds that a single slice of updates may take.
+        // Zero means that updates are not spread across frames.
+        this._frameBudget = 0;
+
+        // Budget of the next slice adapted to the duration of previous ones.
+        this._sliceBudget = 0;
+
+        // Pass of updates that is spread across frames in a form of
+        // {tasks, index, hasChanges}, where tasks are [observer, observation]
+        // pairs. It's null if there is no unfinished pass.
+        this._pass = null;
+
         // Indicates whether infinite cycles are enabled.
         this._repeatCycle = false;
 
@@ -85,9 +143,42 @@ export default class IntersectionObserverController {
         // Keeps reference to the instance of MutationObserver.
         this._mutationsObserver = null;
 
+        // Identifier and time of the update requested by the "requestUpdateAt" method.
+        this._delayedUpdateID = null;
+        this._delayedUpdateTime = -1;
+
         // Indicates whether DOM listeners were initiated.
         this._isListening = false;
 
+        // Registry of elements whose size is tracked and
+        // the number of registrations of each of them.
+        this._resizeTargets = new Map();
+
+        // Registry of shadow roots that contain targets in a form of
+        // {count, mutationsObserver}, where count is the number of registrations.
+        this._shadowRoots = new Map();
+
+        // A list of windows whose "scroll" and "resize" events are listened to:
+        // current window along with the same-origin parent ones.
+        this._windows = [];
+
+        // Indicates whether the visual viewport is used as the implicit root.
+        this._visualViewport = false;
+
+        // Top-level window whose visual viewport is being listened to.
+        this._viewportWindow = null;
+
+        // Indicates whether the bridge with cross-origin parent window is enabled.
+        this._frameBridge = false;
+
+        // Indicates whether the subscription to the host side of bridge was made.
+        this._bridgeInitiated = false;
+
+        // Visible part of the viewport of current document reported by the host
+        // side of bridge. It's null if there is no subscription and it's hidden
+        // until the first report of subscription is received.
+        this.remoteViewportRect = null;
+
         // A list of connected observers.
         this._observers = [];
 
@@ -95,6 +186,10 @@ export default class IntersectionObserverController {
         this.startUpdateCycle = this.startUpdateCycle.bind(this);
         this.scheduleUpdate = this.scheduleUpdate.bind(this);
         this._onMutation = this._onMutation.bind(this);
+        this._onScroll = this._onScroll.bind(this);
+        this._onBridgeMessage = this._onBridgeMessage.bind(this);
+        this._onDelayedUpdate = this._onDelayedUpdate.bind(this);
+        this._onResize = this._onResize.bind(this);
 
         // Function that will be invoked to re-rerun the update cycle
         // if repeatable cycles are enabled.
@@ -102,6 +197,11 @@ export default class IntersectionObserverController {
 
         // "mouseover" event handler.
         this._onMouseOver = debounce(this.startUpdateCycle, 200);
+
+        // Keeps reference to the instance of ResizeObserver.
+        this._resizeObserver = resizeObserverSupported ?
+            new window.ResizeObserver(this._onResize) :
+            null;
     }
 
     /**
@@ -122,6 +222,58 @@ export default class IntersectionObserverController {
         this._idleTimeout = value;
     }
 
+    /**
+     * Returns function that is used to request updates of observers.
+     *
+     * @returns {Function}
+     */
+    get scheduler() {
+        return this._scheduler;
+    }
+
+    /**
+     * Sets up new function that will be used to request updates of observers.
+     *
+     * @param {Function} value - New scheduler.
+     */
+    set scheduler(value) {
+        this._scheduler = value;
+
+        // Update that was requested from the previous scheduler might
+        // never happen, e.g. when it's a manual one, so it's re-requested.
+        if (this._isUpdateScheduled) {
+            this._isUpdateScheduled = false;
+
+            this._requestUpdate();
+        }
+    }
+
+    /**
+     * Returns time in milliseconds that a single slice of updates may take.
+     *
+     * @returns {Number}
+     */
+    get frameBudget() {
+        return this._frameBudget;
+    }
+
+    /**
+     * Sets up time in milliseconds that a single slice of updates may take.
+     *
+     * @param {Number} value - New budget. Zero makes updates to be performed at once.
+     */
+    set frameBudget(value) {
+        this._frameBudget = value;
+        this._sliceBudget = value;
+
+        // Observations left from the unfinished pass
+        // will be updated by the next full update.
+        if (!value && this._pass) {
+            this._pass = null;
+            this._isFullUpdate = true;
+        }
+    }
+
     /**
      * Adds observer to observers list.
      *
@@ -169,39 +321,362 @@ export default class IntersectionObserverController {
         return !!~this._observers.indexOf(observer);
     }
 
+    /**
+     * Starts tracking changes of size of provided element if ResizeObserver
+     * is supported. Element might be registered by multiple observers,
+     * that's why the number of its' registrations is counted.
+     *
+     * @param {Element} element
+     */
+    watchSize(element) {
+        const targets = this._resizeTargets;
+
+        if (!this._resizeObserver) {
+            return;
+        }
+
+        const count = targets.has(element) ? targets.get(element) : 0;
+
+        if (!count) {
+            this._resizeObserver.observe(element);
+        }
+
+        targets.set(element, count + 1);
+    }
+
+    /**
+     * Removes one of the registrations of element made by the "watchSize"
+     * method. Tracking is stopped once there are no registrations left.
+     *
+     * @param {Element} element
+     */
+    unwatchSize(element) {
+        const targets = this._resizeTargets;
+
+        if (!targets.has(element)) {
+            return;
+        }
+
+        const count = targets.get(element) - 1;
+
+        if (count) {
+            targets.set(element, count);
+
+            return;
+        }
+
+        targets.delete(element);
+
+        this._resizeObserver.unobserve(element);
+    }
+
+    /**
+     * Starts watching mutations and scrolling inside of provided shadow root.
+     * Neither of them is visible to the listeners of document, as "scroll"
+     * events are not composed. Shadow root might contain targets
+     * of multiple observers, that's why its' registrations are counted.
+     *
+     * @param {ShadowRoot} root
+     */
+    watchShadowRoot(root) {
+        const roots = this._shadowRoots;
+
+        if (roots.has(root)) {
+            roots.get(root).count++;
+
+            return;
+        }
+
+        let mutationsObserver = null;
+
+        root.addEventListener('scroll', this._onScroll, true);
+
+        if (mutationsSupported) {
+            mutationsObserver = new MutationObserver(this._onMutation);
+            mutationsObserver.observe(root, mutationsConfig);
+        }
+
+        roots.set(root, {count: 1, mutationsObserver});
+    }
+
+    /**
+     * Removes one of the registrations of shadow root made by the "watchShadowRoot"
+     * method. Watching is stopped once there are no registrations left.
+     *
+     * @param {ShadowRoot} root
+     */
+    unwatchShadowRoot(root) {
+        const roots = this._shadowRoots;
+
+        if (!roots.has(root)) {
+            return;
+        }
+
+        const record = roots.get(root);
+
+        if (--record.count) {
+            return;
+        }
+
+        roots.delete(root);
+
+        root.removeEventListener('scroll', this._onScroll, true);
+
+        if (record.mutationsObserver) {
+            record.mutationsObserver.disconnect();
+        }
+    }
+
     /**
      * Updates every observer from observers list and
      * notifies them of queued entries.
      *
+     * Callbacks are invoked only after all of the observers are updated,
+     * so that layout data, which is shared by observers during the
+     * update, isn't invalidated by changes of DOM made in callbacks.
+     *
      * @private
+     * @param {Array<Element>} [scrolledElements] - Elements whose scrolling is the
+     *      only reason of update. If it's provided, observers may skip targets
+     *      that are not contained by any of them.
      * @returns {Boolean} Returns "true" if any observer
      *      has detected changes in position of its elements.
      */
-    _updateObservers() {
+    _updateObservers(scrolledElements) {
         let hasChanges = false;
 
-        for (const observer of this._observers) {
-            if (observer.updateObservations()) {
-                hasChanges = true;
+        startLayoutPass();
+
+        // Data of the pass must not outlive it even if an
+        // update fails, as it would never be refreshed.
+        try {
+            for (const observer of this._observers) {
+                hasChanges = observer.updateObservations(scrolledElements) || hasChanges;
             }
+        } finally {
+            finishLayoutPass();
+        }
+
+        this._notifyObservers();
+
+        return hasChanges;
+    }
 
-            if (observer.hasEntries()) {
+    /**
+     * Notifies observers of queued entries.
+     *
+     * @private
+     */
+    _notifyObservers() {
+        // Callbacks might disconnect observers, hence the copy of the list.
+        for (const observer of this._observers.slice()) {
+            if (this.isConnected(observer) && observer.hasEntries()) {
                 observer.notifySubscriber();
             }
         }
+    }
 
-        return hasChanges;
+    /**
+     * Performs the next slice of the pass of updates that is spread across
+     * frames and notifies observers once the whole pass is finished.
+     * At least one observation is updated by each slice.
+     *
+     * @private
+     * @returns {Boolean|null} Returns null if pass is not finished yet. Otherwise
+     *      tells whether any observer has detected changes in position of its elements.
+     */
+    _updateSlice() {
+        const startTime = now();
+
+        startLayoutPass();
+
+        try {
+            if (!this._pass) {
+                this._pass = this._createPass(this._takePendingScope());
+            }
+
+            this._runSliceTasks(this._pass, startTime);
+
+            // Only the duration of slice itself is taken into account as the
+            // time between slices depends on the scheduler, e.g. idle callbacks.
+            this._adaptSliceBudget(now() - startTime);
+        } finally {
+            finishLayoutPass();
+        }
+
+        const pass = this._pass;
+
+        if (pass.index < pass.tasks.length) {
+            return null;
+        }
+
+        this._pass = null;
+        this._notifyObservers();
+
+        return pass.hasChanges;
+    }
+
+    /**
+     * Updates observations of the pass until either all of them are
+     * updated or the budget of slice is exhausted.
+     *
+     * @private
+     * @param {Object} pass - See "_createPass" method.
+     * @param {Timestamp} startTime - Start time of the slice.
+     */
+    _runSliceTasks(pass, startTime) {
+        const tasks = pass.tasks;
+
+        while (pass.index < tasks.length) {
+            const [observer, observation] = tasks[pass.index++];
+
+            if (this.isConnected(observer) && observer.updateObservationList([observation])) {
+                pass.hasChanges = true;
+            }
+
+            if (now() - startTime >= this._sliceBudget) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Creates a pass of updates that is spread across frames. Observations
+     * are ordered by theirs' priority, keeping the order of observers
+     * within the same priority (see "getPriority" method of IntersectionObservation).
+     *
+     * @private
+     * @param {Array<Element>} [scrolledElements] - See "_updateObservers" method.
+     * @returns {Object}
+     */
+    _createPass(scrolledElements) {
+        const groups = [[], [], []];
+
+        let hasChanges = false;
+
+        for (const observer of this._observers) {
+            // Observers that don't expose theirs' observations,
+            // e.g. the host side of frame bridge, are updated at once.
+            if (typeof observer.getObservations !== 'function') {
+                hasChanges = observer.updateObservations(scrolledElements) || hasChanges;
+
+                continue;
+            }
+
+            const rootRect = observer.getRootRect();
+
+            for (const observation of observer.getObservations(scrolledElements)) {
+                groups[observation.getPriority(rootRect)].push([observer, observation]);
+            }
+        }
+
+        return {
+            tasks: [].concat(...groups),
+            index: 0,
+            hasChanges
+        };
+    }
+
+    /**
+     * Adapts budget of slices to the measured duration of the previous one.
+     * It's halved when slice takes more than twice its' budget, e.g. on
+     * low-end devices, and is gradually restored up to the frame budget once
+     * slices fit in it again.
+     *
+     * @private
+     * @param {Number} sliceDuration - Time that the previous slice took.
+     */
+    _adaptSliceBudget(sliceDuration) {
+        if (sliceDuration > this._sliceBudget * 2) {
+            this._sliceBudget = Math.max(minSliceBudget, this._sliceBudget / 2);
+        } else {
+            this._sliceBudget = Math.min(this._frameBudget, this._sliceBudget + 1);
+        }
+    }
+
+    /**
+     * Returns elements whose scrolling is the only reason of the
+     * pending update and resets the state of pending update.
+     *
+     * @private
+     * @returns {Array<Element>|null} Returns null if all of the observations need to be updated.
+     */
+    _takePendingScope() {
+        const scrolledElements = this._isFullUpdate ? null : this._scrolledElements;
+
+        this._isFullUpdate = false;
+        this._scrolledElements = [];
+
+        return scrolledElements;
+    }
+
+    /**
+     * Synchronously updates observers and notifies them of queued
+     * entries without waiting for the scheduler.
+     *
+     * @returns {Boolean} Returns "true" if any observer
+     *      has detected changes in position of its elements.
+     */
+    flush() {
+        return this._updateObservers();
+    }
+
+    /**
+     * Starts update cycle on demand, e.g. after changes of layout that
+     * can't be detected by controller on its' own.
+     *
+     * @param {Number} [idleTimeout] - Idle timeout of the cycle, e.g. the duration
+     *      of transitions that were started. It's used only if it's greater than
+     *      the default one and it's reset once the cycle is finished.
+     */
+    checkNow(idleTimeout = 0) {
+        if (typeof idleTimeout !== 'number' || !window.isFinite(idleTimeout)) {
+            throw new TypeError('type of "idleTimeout" value must be a number.');
+        }
+
+        this._cycleIdleTimeout = Math.max(this._cycleIdleTimeout, idleTimeout);
+
+        this.startUpdateCycle();
     }
 
     /**
      * Schedules new update cycle.
      */
     startUpdateCycle() {
+        this._isResizeCycle = false;
+
+        this._restartCycle();
+    }
+
+    /**
+     * Postpones the end time of the current cycle
+     * or starts a new one if it's not running.
+     *
+     * @private
+     */
+    _restartCycle() {
         this._cycleStartTime = now();
 
         this.scheduleUpdate();
     }
 
+    /**
+     * ResizeObserver notifications handler. Unlike the other sources of
+     * changes, notifications are delivered once the layout is already
+     * computed, so the cycle started by them may end as soon as
+     * an update doesn't detect any changes. Running cycles
+     * keep theirs' idle timeout.
+     *
+     * @private
+     */
+    _onResize() {
+        if (!this._wasCycleStarted()) {
+            this._isResizeCycle = true;
+        }
+
+        this._restartCycle();
+    }
+
     /**
      * Controls invocation of "_updateObservers" method.
      * It will re-invoke itself in the following cases:
@@ -215,18 +690,33 @@ export default class IntersectionObserverController {
      *
      * @param {Number} [timestamp] - Internal parameter
      *      that is used to define whether method was invoked
-     *      as a callback of requestAnimationFrame.
+     *      as a callback of scheduler.
      */
     scheduleUpdate(timestamp) {
-        let calledFromRAF = typeof timestamp === 'number';
+        let calledFromScheduler = typeof timestamp === 'number';
 
         // Invoke the update of observers only if function
-        // was called as a requestAnimationFrame callback.
-        if (calledFromRAF) {
-            const hasChanges = this._updateObservers();
+        // was called as a callback of scheduler.
+        if (calledFromScheduler) {
+            const hasChanges = this._frameBudget ?
+                this._updateSlice() :
+                this._updateObservers(this._takePendingScope());
 
             this._isUpdateScheduled = false;
 
+            // Continue the pass that is spread across frames.
+            if (hasChanges === null) {
+                this._requestUpdate();
+
+                return;
+            }
+
+            // Perform updates that were requested while the pass was
+            // running, e.g. the ones caused by scrolling between its' slices.
+            if (this._isFullUpdate || this._scrolledElements.length) {
+                this._requestUpdate();
+            }
+
             // Do nothing if cycle wasn't started.
             if (!this._wasCycleStarted()) {
                 return;
@@ -234,7 +724,7 @@ export default class IntersectionObserverController {
 
             if (hasChanges) {
                 // Postpone cycle end time if changes were detected.
-                this.startUpdateCycle();
+                this._restartCycle();
             } else if (!this._hasIdleTimeEnded()) {
                 // Schedule new single update if cycle timeout wasn't reached yet.
                 this.scheduleUpdate();
@@ -242,22 +732,110 @@ export default class IntersectionObserverController {
                 // Finish cycle.
                 this._onCycleEnded();
             }
-        } else if (!this._isUpdateScheduled) {
-            // Request new update if it wasn't requested already.
-            requestAnimFrame(this.scheduleUpdate);
+        } else {
+            this._isFullUpdate = true;
+
+            this._requestUpdate();
+        }
+    }
+
+    /**
+     * Requests single update of observers at the specified time, e.g. when the
+     * "delay" of postponed observations ends. Only the earliest request is kept.
+     *
+     * @param {Timestamp} time
+     */
+    requestUpdateAt(time) {
+        if (this._delayedUpdateTime !== -1 && this._delayedUpdateTime <= time) {
+            return;
+        }
+
+        clearTimeout(this._delayedUpdateID);
 
+        this._delayedUpdateTime = time;
+        this._delayedUpdateID = setTimeout(this._onDelayedUpdate, Math.max(time - now(), 0));
+    }
+
+    /**
+     * Cancels the update requested by the "requestUpdateAt" method.
+     *
+     * @private
+     */
+    _cancelDelayedUpdate() {
+        clearTimeout(this._delayedUpdateID);
+
+        this._delayedUpdateID = null;
+        this._delayedUpdateTime = -1;
+    }
+
+    /**
+     * Handler of the update requested by the "requestUpdateAt" method.
+     *
+     * @private
+     */
+    _onDelayedUpdate() {
+        this._delayedUpdateID = null;
+        this._delayedUpdateTime = -1;
+
+        this.scheduleUpdate();
+    }
+
+    /**
+     * Requests new update from scheduler if it wasn't requested already.
+     *
+     * @private
+     */
+    _requestUpdate() {
+        if (!this._isUpdateScheduled) {
+            // Flag is raised beforehand as schedulers
+            // might invoke callbacks synchronously.
             this._isUpdateScheduled = true;
+
+            this._scheduler(this.scheduleUpdate);
         }
     }
 
+    /**
+     * "scroll" event handler. Scrolling of an element moves only its' descendants,
+     * so unless some other change is pending, the update is limited to them.
+     * Scrolling of documents, including the scrolling of elements of parent windows,
+     * moves all of the targets and thus requires the full update.
+     *
+     * Scrolling inside of shadow trees is reported by the listeners of shadow
+     * roots (see "watchShadowRoot" method). They receive the scrolled element
+     * itself, which contains targets in the composed tree.
+     *
+     * @private
+     * @param {Event} event
+     */
+    _onScroll(event) {
+        const element = event.target;
+        const scrolledElements = this._scrolledElements;
+
+        if (!element || element.nodeType !== 1 || element.ownerDocument !== document) {
+            this._isFullUpdate = true;
+        } else if (!~scrolledElements.indexOf(element)) {
+            scrolledElements.push(element);
+        }
+
+        this._requestUpdate();
+    }
+
     /**
      * Tells whether cycle has reached its idle timeout.
+     * Cycles started by ResizeObserver don't have one.
      *
      * @private
      * @returns {Boolean}
      */
     _hasIdleTimeEnded() {
-        return now() - this._cycleStartTime > this._idleTimeout;
+        if (this._isResizeCycle) {
+            return true;
+        }
+
+        const idleTimeout = Math.max(this._idleTimeout, this._cycleIdleTimeout);
+
+        return now() - this._cycleStartTime > idleTimeout;
     }
 
     /**
@@ -278,6 +856,8 @@ export default class IntersectionObserverController {
     _onCycleEnded() {
         // Mark that update cycle is not running.
         this._cycleStartTime = -1;
+        this._cycleIdleTimeout = 0;
+        this._isResizeCycle = false;
 
         if (this._repeatCycle) {
             // Time is set to '0' because we want to automatically
@@ -301,18 +881,32 @@ export default class IntersectionObserverController {
 
         this._isListening = true;
 
-        // Use update cycle here instead of a single update because we may encounter
-        // with delayed changes, e.g. when width or height of an
-        // element are changed by CSS transitions.
-        window.addEventListener('resize', this.startUpdateCycle, true);
+        // Scrolling and resizing of parent windows moves elements of
+        // the current document relatively to the top-level viewport.
+        this._windows = [window].concat(getParentWindows());
+
+        for (const win of this._windows) {
+            // Use update cycle here instead of a single update because we may encounter
+            // with delayed changes, e.g. when width or height of an
+            // element are changed by CSS transitions.
+            win.addEventListener('resize', this.startUpdateCycle, true);
 
-        window.addEventListener('scroll', this.scheduleUpdate, true);
+            win.addEventListener('scroll', this._onScroll, true);
+        }
 
         // Listen to possible changes made by ":hover" class.
         if (this._trackHovers) {
             this._addHoverListener();
         }
 
+        if (this._visualViewport) {
+            this._addViewportListener();
+        }
+
+        if (this._frameBridge) {
+            this._addBridgeListener();
+        }
+
         // Fall back to repeatable cycle with additional tracking of
         // "click" event if MutationObserver is not supported.
         if (!mutationsSupported) {
@@ -327,12 +921,7 @@ export default class IntersectionObserverController {
             // Subscribe to DOM mutations as they may lead to changes in position of elements.
             this._mutationsObserver = new MutationObserver(this._onMutation);
 
-            this._mutationsObserver.observe(document, {
-                attributes: true,
-                childList: true,
-                characterData: true,
-                subtree: true
-            });
+            this._mutationsObserver.observe(document, mutationsConfig);
         }
     }
 
@@ -347,10 +936,19 @@ export default class IntersectionObserverController {
             return;
         }
 
-        window.removeEventListener('resize', this.startUpdateCycle, true);
-        window.removeEventListener('scroll', this.scheduleUpdate, true);
+        for (const win of this._windows) {
+            win.removeEventListener('resize', this.startUpdateCycle, true);
+            win.removeEventListener('scroll', this._onScroll, true);
+        }
+
+        this._windows = [];
+        this._pass = null;
+
+        this._cancelDelayedUpdate();
 
         this._removeHoverListener();
+        this._removeViewportListener();
+        this._removeBridgeListener();
 
         if (!mutationsSupported) {
             this._repeatCycle = false;
@@ -425,6 +1023,187 @@ export default class IntersectionObserverController {
         this._hoverInitiated = false;
     }
 
+    /**
+     * Makes observers use the visual viewport as the implicit root.
+     */
+    enableVisualViewport() {
+        this._visualViewport = true;
+
+        // Manually add viewport listeners
+        // if listeners were already initiated.
+        if (this._isListening) {
+            this._addViewportListener();
+            this.startUpdateCycle();
+        }
+    }
+
+    /**
+     * Makes observers use the layout viewport as the implicit root.
+     */
+    disableVisualViewport() {
+        this._visualViewport = false;
+
+        this._removeViewportListener();
+
+        if (this._isListening) {
+            this.startUpdateCycle();
+        }
+    }
+
+    /**
+     * Tells whether the visual viewport is used as the implicit root.
+     *
+     * @returns {Boolean}
+     */
+    isVisualViewportEnabled() {
+        return this._visualViewport;
+    }
+
+    /**
+     * Adds listeners of the top-level visual viewport along with
+     * the "orientationchange" listener if they weren't already added.
+     *
+     * @private
+     */
+    _addViewportListener() {
+        if (this._viewportWindow) {
+            return;
+        }
+
+        const win = getTopDocument().defaultView;
+        const viewport = win.visualViewport;
+
+        // Just like "resize" event of window, resizing of visual viewport
+        // might be followed by changes of layout, that's why the update cycle is used.
+        if (viewport) {
+            viewport.addEventListener('resize', this.startUpdateCycle);
+            viewport.addEventListener('scroll', this.scheduleUpdate);
+        }
+
+        win.addEventListener('orientationchange', this.startUpdateCycle);
+
+        this._viewportWindow = win;
+    }
+
+    /**
+     * Removes listeners of the visual viewport if they were added previously.
+     *
+     * @private
+     */
+    _removeViewportListener() {
+        const win = this._viewportWindow;
+
+        if (!win) {
+            return;
+        }
+
+        const viewport = win.visualViewport;
+
+        if (viewport) {
+            viewport.removeEventListener('resize', this.startUpdateCycle);
+            viewport.removeEventListener('scroll', this.scheduleUpdate);
+        }
+
+        win.removeEventListener('orientationchange', this.startUpdateCycle);
+
+        this._viewportWindow = null;
+    }
+
+    /**
+     * Enables bridge with the host side of cross-origin parent window.
+     */
+    enableFrameBridge() {
+        this._frameBridge = true;
+
+        // Manually subscribe to the host if
+        // listeners were already initiated.
+        if (this._isListening) {
+            this._addBridgeListener();
+        }
+    }
+
+    /**
+     * Disables bridge with the host side of cross-origin parent window.
+     */
+    disableFrameBridge() {
+        this._frameBridge = false;
+
+        this._removeBridgeListener();
+    }
+
+    /**
+     * Tells whether bridge with the host side of cross-origin parent window is enabled.
+     *
+     * @returns {Boolean}
+     */
+    isFrameBridgeEnabled() {
+        return this._frameBridge;
+    }
+
+    /**
+     * Subscribes to the host side of bridge if current document
+     * is embedded in a frame of cross-origin parent window.
+     *
+     * @private
+     */
+    _addBridgeListener() {
+        const parent = window.parent;
+
+        // Parent windows of the same origin are handled without the bridge.
+        if (this._bridgeInitiated || parent === window || getFrameElement(window)) {
+            return;
+        }
+
+        window.addEventListener('message', this._onBridgeMessage);
+
+        parent.postMessage(createMessage(SUBSCRIBE), '*');
+
+        // Frame might be placed anywhere on the parent page, so the
+        // viewport is considered hidden until the host reports it.
+        this.remoteViewportRect = hiddenViewportRect;
+        this._bridgeInitiated = true;
+    }
+
+    /**
+     * Unsubscribes from the host side of bridge if subscription was made previously.
+     *
+     * @private
+     */
+    _removeBridgeListener() {
+        if (!this._bridgeInitiated) {
+            return;
+        }
+
+        window.removeEventListener('message', this._onBridgeMessage);
+
+        window.parent.postMessage(createMessage(UNSUBSCRIBE), '*');
+
+        this.remoteViewportRect = null;
+        this._bridgeInitiated = false;
+    }
+
+    /**
+     * Handles reports of the host side of bridge.
+     *
+     * @private
+     * @param {MessageEvent} event
+     */
+    _onBridgeMessage(event) {
+        const message = event.source === window.parent && parseMessage(event.data);
+
+        if (!message || message.type !== VIEWPORT) {
+            return;
+        }
+
+        const rect = message.rect;
+
+        this.remoteViewportRect = rect ?
+            createRectangle(rect.left, rect.top, rect.width, rect.height) :
+            hiddenViewportRect;
+
+        this.scheduleUpdate();
+    }
+
     /**
      * DOM mutations handler.
      *
@@ -8,10 +8,16 @@ export default class IntersectionObserverEntry {
      * @param {ClientRect} targetRect
      * @param {ClientRect} intersecRect
      * @param {Number} intersecRatio
-     * @param {ClientRect} rootBounds
+     * @param {ClientRect|null} rootBounds - Equals to null if
+     *      root is the viewport of cross-origin parent document.
      * @param {Timestamp} time
+     * @param {Boolean} [isIntersecting = false]
+     * @param {Boolean} [isVisible = false]
      */
-    constructor(target, targetRect, intersecRect, intersecRatio, rootBounds, time) {
+    constructor(
+        target, targetRect, intersecRect, intersecRatio,
+        rootBounds, time, isIntersecting = false, isVisible = false
+    ) {
 
         // According to the spec following properties are not writable and
         // in native implementation they are also not enumerable.
@@ -19,7 +25,9 @@ export default class IntersectionObserverEntry {
             boundingClientRect: {value: targetRect},
             intersectionRatio:  {value: intersecRatio},
             intersectionRect:   {value: mapToClientRect(intersecRect)},
-            rootBounds:         {value: mapToClientRect(rootBounds)},
+            isIntersecting:     {value: isIntersecting},
+            isVisible:          {value: isVisible},
+            rootBounds:         {value: rootBounds ? mapToClientRect(rootBounds) : null},
             target:             {value: target},
             time:               {value: time}
         });
@@ -0,0 +1,54 @@
+import {createRectangle, getRectangle} from './geometry';
+
+/**
+ * Represents a logical region of host element that is not a part of the DOM tree,
+ * e.g. a marker drawn on a canvas. Its' rectangle is requested from the provider
+ * function on each update of observer, so that changes made by the host are
+ * detected without any DOM mutations.
+ *
+ * Instances of this class are reported as targets of entries.
+ */
+export default class VirtualTarget {
+    /**
+     * Creates new instance of VirtualTarget.
+     *
+     * @param {*} id - Identifier of region.
+     * @param {Element} host - Element that contains region.
+     * @param {Function} getRect - Function that returns rectangle of region relative
+     *      to the top left corner of hosts' border box in a form of
+     *      {left, top, width, height}. It's invoked with host as an argument.
+     */
+    constructor(id, host, getRect) {
+        this.id = id;
+        this.host = host;
+
+        this._getRect = getRect;
+    }
+
+    /**
+     * Returns client rectangle of region.
+     *
+     * @returns {ClientRect}
+     */
+    getBoundingClientRect() {
+        const hostRect = getRectangle(this.host);
+        const rect = this._getRect(this.host);
+
+        return createRectangle(
+            hostRect.left + rect.left,
+            hostRect.top + rect.top,
+            rect.width,
+            rect.height
+        );
+    }
+
+    /**
+     * Returns a list of boxes of region. Virtual regions
+     * always consist of a single box.
+     *
+     * @returns {Array<ClientRect>}
+     */
+    getClientRects() {
+        return [this.getBoundingClientRect()];
+    }
+}
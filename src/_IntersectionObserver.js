@@ -1,6 +1,56 @@
 import {Map} from './shims/es6-collections';
-import {getRectangle} from './geometry';
+import {applyMargins, getRectangle, getScrollportRect, getVisualViewportRect} from './geometry';
+import {hasContentClip} from './clipping';
+import {getTopDocument} from './frames';
+import {getLayoutData} from './layoutCache';
+import {containsNode, getShadowRoots, getTargetElement, getViewportElement, isDocument, isRange} from './dom';
 import IntersectionObservation from './IntersectionObservation';
+import VirtualTarget from './VirtualTarget';
+
+/**
+ * Tells whether target is moved by scrolling of at least one of provided elements,
+ * i.e. whether it's contained by any of them in the composed tree.
+ *
+ * @param {(Element|Range|VirtualTarget)} target
+ * @param {Array<Element>} elements - Scrolled elements.
+ * @returns {Boolean}
+ */
+function isScrolledBy(target, elements) {
+    const element = getTargetElement(target);
+
+    return !!element && elements.some(container => containsNode(container, element));
+}
+
+/**
+ * Returns element whose changes of size might affect intersection of target:
+ * either the target itself or the host of virtual target. Ranges are not
+ * tracked, as elements that contain them might change over time.
+ *
+ * @param {(Element|Range|VirtualTarget)} target
+ * @returns {Element|null}
+ */
+function getSizeElement(target) {
+    return isRange(target) ? null : getTargetElement(target);
+}
+
+/**
+ * Computes rectangle of root without its' margins. Roots that clip
+ * theirs' content are represented by theirs' scrollports.
+ *
+ * @param {Element} root
+ * @param {Boolean} useVisualViewport - Whether the implicit root is
+ *      represented by the visual viewport if it's supported.
+ * @returns {ClientRect}
+ */
+function measureRoot(root, useVisualViewport) {
+    const rootRect = hasContentClip(root) ? getScrollportRect(root) : getRectangle(root);
+
+    if (useVisualViewport) {
+        return getVisualViewportRect(root.ownerDocument.defaultView) || rootRect;
+    }
+
+    return rootRect;
+}
 
 /**
  * Validates and parses threshold values.
@@ -43,10 +93,11 @@ function parseThresholds(thresholds = 0) {
  * 2. '5px 11px' = [['5px'], ['11px'], ['5px'], ['11px']]
  *
  * @param {String} [margins = '0px'] - Margins value to be processed.
+ * @param {String} [name = 'rootMargin'] - Name of the option used in error messages.
  * @returns {Array<Array>} Object that contains both: a list of
  *      tokens and its string representation.
  */
-function parseMargins(margins = '0px') {
+function parseMargins(margins = '0px', name = 'rootMargin') {
     // Use regular expression in order to properly
     // handle multiple spaces in-between of tokens: '0px     2px   5px'.
     //
@@ -57,7 +108,7 @@ function parseMargins(margins = '0px') {
 
     // Chrome validates tokens length starting from version 53.
     if (margins.length > 4) {
-        throw new Error('Extra text found at the end of rootMargin.');
+        throw new Error('Extra text found at the end of ' + name + '.');
     }
 
     margins[0] = margins[0] || '0px';
@@ -74,7 +125,7 @@ function parseMargins(margins = '0px') {
         value = parseFloat(value);
 
         if (!window.isFinite(value)) {
-            throw new Error('rootMargin must be specified in pixels or percent.');
+            throw new Error(name + ' must be specified in pixels or percent.');
         }
 
         if (!pixels) {
@@ -88,36 +139,20 @@ function parseMargins(margins = '0px') {
 }
 
 /**
- * Creates new rectangle from provided one whose
- * dimensions will be modified by applying margins
- * defined in a form of [[value: Number, pixels: Boolean], ...].
+ * Validates and parses delay value. Throws an error if
+ * delay is non-finite and clamps negative values to 0.
  *
- * @param {ClientRect} targetRect - Initial rectangle.
- * @param {Array<Array>} margins - Margins data.
- * @returns {ClientRect} Modified rectangle.
+ * @param {Number} [delay = 0]
+ * @returns {Number}
  */
-function applyMargins(targetRect, margins) {
-    margins = margins.map((margin, index) => {
-        let value = margin.value;
+function parseDelay(delay = 0) {
+    delay = Number(delay);
 
-        if (!margin.pixels) {
-            value *= index % 2 ? targetRect.width : targetRect.height;
-        }
-
-        return value;
-    });
-
-    const result = {
-        top: targetRect.top - margins[0],
-        right: targetRect.right + margins[1],
-        bottom: targetRect.bottom + margins[2],
-        left: targetRect.left - margins[3]
-    };
-
-    result.width = result.right - result.left;
-    result.height = result.bottom - result.top;
+    if (!window.isFinite(delay)) {
+        throw new TypeError('The provided double value is non-finite.');
+    }
 
-    return result;
+    return Math.max(delay, 0);
 }
 
 export default class IntersectionObserver {
@@ -140,29 +175,59 @@ export default class IntersectionObserver {
             throw new TypeError("parameter 2 is not an object.");
         }
 
-        if ('root' in options && !(options.root instanceof Element)) {
-            throw new TypeError("member root is not of type Element.");
-        }
+        const root = options.root;
 
+        // Spec allows root to be either an element, a document
+        // whose viewport will be used or null for the implicit root.
+        if (root != null && !(root instanceof Element) && !isDocument(root)) {
+            throw new TypeError("member root is not of type (Element or Document).");
+        }
 
         const thresholds = parseThresholds(options.threshold);
         const rootMargin = parseMargins(options.rootMargin);
+        const scrollMargin = parseMargins(options.scrollMargin, 'scrollMargin');
+        const trackVisibility = !!options.trackVisibility;
+        const measureFragments = !!options.measureFragments;
+        const delay = parseDelay(options.delay);
+
+        // Visibility is expensive to compute, that's why
+        // Chrome requires it to be throttled.
+        if (trackVisibility && delay < 100) {
+            throw new Error(
+                'To enable the "trackVisibility" option, you must also ' +
+                'use a "delay" option with a value of at least 100.'
+            );
+        }
 
-        this.root = options.root || null;
+        this.root = root || null;
         this.rootMargin = rootMargin.rawData;
+        this.scrollMargin = scrollMargin.rawData;
+        this.trackVisibility = trackVisibility;
+        this.delay = delay;
+        this.measureFragments = measureFragments;
 
         // Thresholds array needs to be immutable
         // according to the native implementation.
         this.thresholds = Object.freeze(thresholds);
 
-        this._root = options.root || document.documentElement;
+        this._root = isDocument(root) ?
+            getViewportElement(root) :
+            root || document.documentElement;
         this._callback = callback;
         this._rootMargin = rootMargin.parsedData;
+        this._scrollMargin = scrollMargin.parsedData;
 
         // Registry of observed elements and
         // corresponding IntersectionObservation instances.
         this._targets = new Map();
 
+        // Registry of observed virtual targets by theirs' identifiers.
+        this._virtualTargets = new Map();
+
+        // Registry of targets that belong to shadow trees and shadow
+        // roots that were watched by controller for each of them.
+        this._shadowRoots = new Map();
+
         // A list of queued IntersectionObserverEntry
         // items that will passed to the callback function.
         this._quedEntries = [];
@@ -175,17 +240,86 @@ export default class IntersectionObserver {
     /**
      * Adds provided target to observations list.
      *
-     * @param {Element} target - DOM element to be observed.
+     * @param {(Element|Range)} target - DOM element or range to be observed.
      */
     observe(target) {
         if (!arguments.length) {
             throw new TypeError('1 argument required, but only 0 present.');
         }
 
-        if (!(target instanceof Element)) {
-            throw new TypeError('parameter 1 is not of type "Element".');
+        if (!(target instanceof Element) && !isRange(target)) {
+            throw new TypeError('parameter 1 is not of type "(Element or Range)".');
+        }
+
+        this._addTarget(target);
+    }
+
+    /**
+     * Adds virtual target to observations list, i.e. a region of host element
+     * whose rectangle is provided by the specified function. Virtual target
+     * that was registered previously with the same identifier will be replaced.
+     *
+     * @param {*} id - Identifier of region.
+     * @param {Element} host - Element that contains region.
+     * @param {Function} getRect - Function that returns rectangle of region relative
+     *      to the top left corner of hosts' border box.
+     */
+    observeVirtual(id, host, getRect) {
+        if (arguments.length < 3) {
+            throw new TypeError('3 arguments required, but only ' + arguments.length + ' present.');
+        }
+
+        if (!(host instanceof Element)) {
+            throw new TypeError('parameter 2 is not of type "Element".');
+        }
+
+        if (typeof getRect !== 'function') {
+            throw new TypeError('parameter 3 is not a function.');
+        }
+
+        const target = new VirtualTarget(id, host, getRect);
+
+        if (this._virtualTargets.has(id)) {
+            const prevTarget = this._virtualTargets.get(id);
+
+            this._targets.delete(prevTarget);
+            this._trackSize(prevTarget.host, false);
+            this._trackShadowRoots(prevTarget, false);
+        }
+
+        this._virtualTargets.set(id, target);
+
+        this._addTarget(target);
+    }
+
+    /**
+     * Removes virtual target with provided identifier from observations list.
+     *
+     * @param {*} id - Identifier of region.
+     */
+    unobserveVirtual(id) {
+        if (!arguments.length) {
+            throw new TypeError('1 argument required, but only 0 present.');
+        }
+
+        const target = this._virtualTargets.get(id);
+
+        if (!target) {
+            return;
         }
 
+        this._virtualTargets.delete(id);
+
+        this._removeTarget(target);
+    }
+
+    /**
+     * Adds target to the registry and requests the update of observers.
+     *
+     * @private
+     * @param {(Element|Range|VirtualTarget)} target
+     */
+    _addTarget(target) {
         let targets = this._targets;
 
         // Do nothing if target is already observed.
@@ -197,10 +331,14 @@ export default class IntersectionObserver {
         // to provided target.
         targets.set(target, new IntersectionObservation(target, this));
 
+        this._trackSize(getSizeElement(target), true);
+        this._trackShadowRoots(target, true);
+
         // Connect current observer to controller
         // if it wasn't connected yet.
         if (!this.controller.isConnected(this)) {
             this.controller.connect(this);
+            this._trackSize(this._getSizeRoot(), true);
         }
 
         // Request the update of observers.
@@ -210,21 +348,33 @@ export default class IntersectionObserver {
     /**
      * Removes provided target from observations list.
      *
-     * @param {Element} target - DOM element to stop observing.
+     * @param {(Element|Range)} target - DOM element or range to stop observing.
      */
     unobserve(target) {
         if (!arguments.length) {
             throw new TypeError('1 argument required, but only 0 present.');
         }
 
-        if (!(target instanceof Element)) {
-            throw new TypeError('parameter 1 is not of type "Element".');
+        if (!(target instanceof Element) && !isRange(target)) {
+            throw new TypeError('parameter 1 is not of type "(Element or Range)".');
         }
 
+        this._removeTarget(target);
+    }
+
+    /**
+     * Removes target from the registry.
+     *
+     * @private
+     * @param {(Element|Range|VirtualTarget)} target
+     */
+    _removeTarget(target) {
         let targets = this._targets;
 
         if (targets.has(target)) {
             targets.delete(target);
+            this._trackSize(getSizeElement(target), false);
+            this._trackShadowRoots(target, false);
         }
 
         // Disconnect observer if the list of observed targets is empty.
@@ -239,20 +389,109 @@ export default class IntersectionObserver {
      * no updates will be invoked for it.
      */
     disconnect() {
+        this._targets.forEach((observation, target) => {
+            this._trackSize(getSizeElement(target), false);
+            this._trackShadowRoots(target, false);
+        });
+
+        if (this.controller.isConnected(this)) {
+            this._trackSize(this._getSizeRoot(), false);
+        }
+
         this._targets.clear();
+        this._virtualTargets.clear();
         this.controller.disconnect(this);
     }
 
     /**
-     * Returns a list of queued observation entries and
-     * clears the queue.
+     * Returns root element whose changes of size are tracked. Viewports,
+     * i.e. implicit and document roots, are tracked by listening to "resize" events.
+     *
+     * @private
+     * @returns {Element|null}
+     */
+    _getSizeRoot() {
+        return this.root && !isDocument(this.root) ? this._root : null;
+    }
+
+    /**
+     * Starts or stops tracking changes of size of provided element.
+     *
+     * @private
+     * @param {Element|null} element
+     * @param {Boolean} isTracked
+     */
+    _trackSize(element, isTracked) {
+        if (!element) {
+            return;
+        }
+
+        isTracked ?
+            this.controller.watchSize(element) :
+            this.controller.unwatchSize(element);
+    }
+
+    /**
+     * Starts or stops watching mutations and scrolling inside of shadow trees
+     * that contain target. Roots are looked up once the target is observed,
+     * so the same ones are released when it's no longer observed.
+     *
+     * @private
+     * @param {(Element|Range|VirtualTarget)} target
+     * @param {Boolean} isTracked
+     */
+    _trackShadowRoots(target, isTracked) {
+        const registry = this._shadowRoots;
+
+        if (!isTracked) {
+            if (registry.has(target)) {
+                registry.get(target).forEach(root => this.controller.unwatchShadowRoot(root));
+                registry.delete(target);
+            }
+
+            return;
+        }
+
+        const element = getTargetElement(target);
+        const roots = element ? getShadowRoots(element) : [];
+
+        if (roots.length) {
+            roots.forEach(root => this.controller.watchShadowRoot(root));
+            registry.set(target, roots);
+        }
+    }
+
+    /**
+     * Returns a list of queued observation entries and clears the queue.
+     * Intersections are synchronously computed beforehand, so that changes
+     * of layout made since the last update are reported as well. Callback
+     * function is not invoked in this case.
      *
+     * @param {Boolean} [update = true] - Whether to compute intersections
+     *      or to return only the entries that were already queued.
      * @returns {Array}
      */
-    takeRecords() {
+    takeRecords(update = true) {
+        if (update) {
+            this.updateObservations();
+        }
+
         return this._quedEntries.splice(0);
     }
 
+    /**
+     * Starts update cycle of observers, e.g. after changes of layout
+     * that can't be detected automatically. Does nothing if
+     * observer doesn't have observed targets.
+     *
+     * @param {Number} [idleTimeout] - Idle timeout of the cycle.
+     */
+    checkNow(idleTimeout) {
+        if (this.controller.isConnected(this)) {
+            this.controller.checkNow(idleTimeout);
+        }
+    }
+
     /**
      * Invokes callback function with a list
      * of queued entries if the last one is not empty.
@@ -260,7 +499,7 @@ export default class IntersectionObserver {
      * @private
      */
     notifySubscriber() {
-        const entries = this.takeRecords();
+        const entries = this.takeRecords(false);
         const publicObserver = this._publicObserver;
 
         if (entries.length) {
@@ -286,25 +525,79 @@ export default class IntersectionObserver {
         return !!this._quedEntries.length;
     }
 
+    /**
+     * Returns observations that need to be updated.
+     *
+     * @param {Array<Element>} [scrolledElements] - Elements whose scrolling caused the update.
+     *      If it's provided, only targets contained by them are updated as other ones
+     *      couldn't have been moved. Visibility of targets is affected by scrolling of
+     *      any element, so observers that track it update all of the targets anyway.
+     * @returns {Array<IntersectionObservation>}
+     */
+    getObservations(scrolledElements) {
+        const scope = this.trackVisibility ? null : scrolledElements;
+        const observations = [];
+
+        this._targets.forEach((observation, target) => {
+            if (!scope || isScrolledBy(target, scope)) {
+                observations.push(observation);
+            }
+        });
+
+        return observations;
+    }
+
     /**
      * Updates intersection data of each observed target.
      *
-     * @returns {Boolean} Returns "true" if intersection ratio or the rectangle of one of the
-     *      observed targets has changed. This information is required for
+     * @param {Array<Element>} [scrolledElements] - Elements whose scrolling
+     *      caused the update (see "getObservations" method).
+     * @returns {Boolean} Returns "true" if intersection ratio or the rectangle of one
+     *      of the observed targets has changed. This information is required for
      *      controller to decide whether to continue running the update cycle.
      */
-    updateObservations() {
+    updateObservations(scrolledElements) {
+        return this.updateObservationList(this.getObservations(scrolledElements));
+    }
+
+    /**
+     * Updates intersection data of provided observations. Observations
+     * of targets that are no longer observed are skipped, as
+     * the list might have been obtained a few frames ago.
+     *
+     * Observations postponed due to the "delay" option don't count as changes.
+     * Instead, a single update is requested for the time when the delay ends.
+     *
+     * @param {Array<IntersectionObservation>} observations
+     * @returns {Boolean} See "updateObservations" method.
+     */
+    updateObservationList(observations) {
         let root     = this._root,
             rootRect = this.getRootRect(),
+            targets  = this._targets,
+            delayEnd = Infinity,
             hasChanges = false;
 
-        this._targets.forEach(observation => {
+        for (const observation of observations) {
+            const target = observation.target;
+
+            if (!targets.has(target) || targets.get(target) !== observation) {
+                continue;
+            }
+
             const changes = observation.updateIntersection(root, rootRect);
 
-            if (changes.ratioChanged || changes.targetRectChanged) {
+            if (changes.isDelayed) {
+                delayEnd = Math.min(delayEnd, observation.getDelayEnd());
+            } else if (changes.ratioChanged || changes.targetRectChanged) {
                 hasChanges = true;
             }
-        });
+        }
+
+        // Delayed observations need to be checked again once the delay ends.
+        if (delayEnd !== Infinity) {
+            this.controller.requestUpdateAt(delayEnd);
+        }
 
         return hasChanges;
     }
@@ -328,13 +621,59 @@ export default class IntersectionObserver {
         return index;
     }
 
+    /**
+     * Returns parsed scroll margins that grow scrollports of the
+     * intermediate scroll containers or null if margins are not set.
+     *
+     * @returns {Array<Object>|null}
+     */
+    getScrollMargins() {
+        const margins = this._scrollMargin;
+
+        return margins.some(margin => margin.value !== 0) ? margins : null;
+    }
+
+    /**
+     * Returns visible part of the current documents' viewport reported by
+     * the host side of frame bridge. It's used as an additional clipping area of
+     * the implicit root when document is embedded in a cross-origin frame.
+     *
+     * @returns {ClientRect|null}
+     */
+    getRemoteViewportRect() {
+        return this.root ? null : this.controller.remoteViewportRect;
+    }
+
     /**
      * Calculates rectangle of root node with applied margins.
+     * If root clips its content then its' scrollport will be
+     * used, otherwise it's the bounding rectangle of root.
+     *
+     * Implicit root is represented by the viewport of the top-level
+     * document, even if observer was created inside of a frame. Document
+     * roots are represented by theirs' own viewports.
      *
-     * @returns {ClientRect}
+     * If controller is configured to use the visual viewport, then the implicit
+     * root is represented by the visible part of the top-level viewport.
+     *
+     * @returns {ClientRect|null} Returns null if the implicit root is the
+     *      viewport of cross-origin parent document. Its' bounds are not
+     *      exposed and margins are not applied in this case.
      */
     getRootRect() {
-        let rootRect = getRectangle(this._root);
+        if (this.getRemoteViewportRect()) {
+            return null;
+        }
+
+        // Implicit root may be represented by the visual viewport
+        // in browsers that support it. Otherwise the layout one is used.
+        let root = this.root ? this._root : getTopDocument().documentElement,
+            useVisualViewport = !this.root && this.controller.isVisualViewportEnabled(),
+            key = useVisualViewport ? 'visual viewport rect' : 'root rect';
+
+        // Observers that share the root share its' rectangle
+        // as well, while margins are applied by each of them.
+        const rootRect = getLayoutData(root, key, () => measureRoot(root, useVisualViewport));
 
         return applyMargins(rootRect, this._rootMargin);
     }
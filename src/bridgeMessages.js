@@ -0,0 +1,58 @@
+/**
+ * Messages that are exchanged between the host side of frame bridge
+ * and the controllers of IntersectionObservers inside of cross-origin frames.
+ * They are serialized to JSON strings because old browsers
+ * are able to post only strings.
+ */
+
+// Name of the property that identifies messages of the bridge.
+const namespace = 'intersectionObserverBridge';
+
+// Sent by frame to start receiving rectangles of its' viewport.
+export const SUBSCRIBE = 'subscribe';
+
+// Sent by frame to stop receiving updates.
+export const UNSUBSCRIBE = 'unsubscribe';
+
+// Sent by host when visible part of frames' viewport changes.
+export const VIEWPORT = 'viewport';
+
+/**
+ * Creates message of provided type.
+ *
+ * @param {String} type - Type of message.
+ * @param {Object} [data = {}] - Additional data of message.
+ * @returns {String}
+ */
+export function createMessage(type, data = {}) {
+    return JSON.stringify({...data, [namespace]: type});
+}
+
+/**
+ * Parses message created by the "createMessage" function.
+ *
+ * @param {*} data - Data of the "message" event.
+ * @returns {Object|null} Returns null if data doesn't
+ *      represent a message of the bridge.
+ */
+export function parseMessage(data) {
+    let message = null;
+
+    if (typeof data !== 'string') {
+        return null;
+    }
+
+    try {
+        message = JSON.parse(data);
+    } catch (e) {
+        return null;
+    }
+
+    if (!message || typeof message[namespace] !== 'string') {
+        return null;
+    }
+
+    message.type = message[namespace];
+
+    return message;
+}
@@ -0,0 +1,340 @@
+import {getStyle} from './dom';
+import {applyMargins, getRectangle, getScrollportRect} from './geometry';
+
+/**
+ * Values of "contain" property that imply paint containment.
+ */
+const paintContainment = ['paint', 'content', 'strict'];
+
+/**
+ * Values of "overflow" property that make element a scroll container.
+ */
+const scrollingOverflows = ['hidden', 'auto', 'scroll', 'overlay'];
+
+/**
+ * Creates rectangle from provided edges. Unlike "createRectangle" function
+ * from geometry module it supports infinite edges which
+ * are used to represent axes that are not clipped.
+ *
+ * @param {Number} top
+ * @param {Number} right
+ * @param {Number} bottom
+ * @param {Number} left
+ * @returns {ClientRect}
+ */
+function createClipRect(top, right, bottom, left) {
+    return {
+        top, right, bottom, left,
+        width: right - left,
+        height: bottom - top
+    };
+}
+
+/**
+ * Tells whether provided value of "overflow-x" or
+ * "overflow-y" properties clips content along its axis.
+ *
+ * @param {String} overflow
+ * @returns {Boolean}
+ */
+function isClippingOverflow(overflow) {
+    return !!overflow && overflow !== 'visible';
+}
+
+/**
+ * Tells whether provided value of "overflow-x" or "overflow-y"
+ * properties makes element a scroll container. Unlike the "clip"
+ * value, "hidden" one still allows content to be scrolled programmatically.
+ *
+ * @param {String} overflow
+ * @returns {Boolean}
+ */
+function isScrollingOverflow(overflow) {
+    return !!~scrollingOverflows.indexOf(overflow);
+}
+
+/**
+ * Tells whether element has paint containment which
+ * clips its content just like "overflow: clip" does.
+ *
+ * @param {CSSStyleDeclaration} style - Computed style of element.
+ * @returns {Boolean}
+ */
+function hasPaintContainment(style) {
+    const contain = style.contain || '';
+
+    return contain.split(/\s+/).some(value => {
+        return !!~paintContainment.indexOf(value);
+    });
+}
+
+/**
+ * Tells whether element establishes a containing block for
+ * fixed positioned descendants (and thus for absolutely positioned ones)
+ * by means of transforms, filters or containment.
+ *
+ * @param {CSSStyleDeclaration} style - Computed style of element.
+ * @returns {Boolean}
+ */
+function hasLayoutContainment(style) {
+    const willChange = style.willChange || '';
+    const contain = style.contain || '';
+    const containerType = style.containerType || 'normal';
+
+    const isSet = value => !!value && value !== 'none';
+
+    return (
+        isSet(style.transform || style.webkitTransform) ||
+        isSet(style.perspective || style.webkitPerspective) ||
+        isSet(style.filter) ||
+        isSet(style.backdropFilter) ||
+        containerType !== 'normal' ||
+        /\b(paint|layout|content|strict)\b/.test(contain) ||
+        /\b(transform|perspective|filter)\b/.test(willChange)
+    );
+}
+
+/**
+ * Converts a length token, e.g. "10px" or "5%",
+ * to pixels. Percentages are resolved against provided size.
+ *
+ * @param {String} token
+ * @param {Number} size - Size of the reference box along the corresponding axis.
+ * @returns {Number} Returns NaN if token can't be resolved.
+ */
+function toPixels(token, size) {
+    let [, value, unit] = /^(-?\d*\.?\d+)(px|%)?$/.exec(token) || [];
+
+    value = parseFloat(value);
+
+    if (unit === '%') {
+        value = value * size / 100;
+    } else if (!unit && value !== 0) {
+        return NaN;
+    }
+
+    return value;
+}
+
+/**
+ * Computes intersection of two clipping rectangles.
+ *
+ * @param {ClientRect} first
+ * @param {ClientRect} second
+ * @returns {ClientRect}
+ */
+function intersectClipRects(first, second) {
+    return createClipRect(
+        Math.max(first.top, second.top),
+        Math.min(first.right, second.right),
+        Math.min(first.bottom, second.bottom),
+        Math.max(first.left, second.left)
+    );
+}
+
+/**
+ * Extracts offsets defined by the "clip" property. This property is
+ * applied only to absolutely positioned elements.
+ *
+ * @param {CSSStyleDeclaration} style - Computed style of element.
+ * @returns {Array<String>|null} A list of offsets in the following order:
+ *      top, right, bottom, left.
+ */
+function parseClip(style) {
+    const position = style.position;
+
+    if (position !== 'absolute' && position !== 'fixed') {
+        return null;
+    }
+
+    const [, values] = /^rect\((.+)\)$/.exec(style.clip || '') || [];
+
+    // Offsets may be separated either by commas or by spaces.
+    return values ? values.split(/\s*,\s*|\s+/) : null;
+}
+
+/**
+ * Extracts offsets defined by the "inset()" shape of
+ * "clip-path" property. Other shapes are not supported.
+ *
+ * @param {CSSStyleDeclaration} style - Computed style of element.
+ * @returns {Array<String>|null} A list of offsets in the following order:
+ *      top, right, bottom, left.
+ */
+function parseInset(style) {
+    const clipPath = style.clipPath || style.webkitClipPath || '';
+    const [, values] = /^inset\(([^)]+)\)/.exec(clipPath) || [];
+
+    if (!values) {
+        return null;
+    }
+
+    // Rounded corners don't affect the bounds of clipping area.
+    const tokens = values.split(/\s+round\s+/)[0].trim().split(/\s+/);
+
+    tokens[1] = tokens[1] || tokens[0];
+    tokens[2] = tokens[2] || tokens[0];
+    tokens[3] = tokens[3] || tokens[1];
+
+    return tokens;
+}
+
+/**
+ * Computes clipping rectangle defined by the "clip" property. Its' offsets
+ * are relative to the top left corner of elements' border box.
+ *
+ * @param {ClientRect} box - Border box of element.
+ * @param {Array<String>} offsets - Offsets extracted by the "parseClip" function.
+ * @returns {ClientRect}
+ */
+function applyClip(box, offsets) {
+    const defaults = [0, box.width, box.height, 0];
+
+    const [top, right, bottom, left] = defaults.map((value, index) => {
+        const offset = offsets[index];
+
+        return offset === 'auto' || !offset ? value : parseFloat(offset);
+    });
+
+    return createClipRect(
+        box.top + top,
+        box.left + right,
+        box.top + bottom,
+        box.left + left
+    );
+}
+
+/**
+ * Computes clipping rectangle defined by the "inset()" shape.
+ * Its' offsets are relative to the edges of elements' border box.
+ *
+ * @param {ClientRect} box - Border box of element.
+ * @param {Array<String>} offsets - Offsets extracted by the "parseInset" function.
+ * @returns {ClientRect|null} Returns null if one of the offsets
+ *      can't be resolved, e.g. when it's a "calc()" expression.
+ */
+function applyInset(box, offsets) {
+    const [top, right, bottom, left] = offsets.map((token, index) => {
+        return toPixels(token, index % 2 ? box.width : box.height);
+    });
+
+    if ([top, right, bottom, left].some(value => !window.isFinite(value))) {
+        return null;
+    }
+
+    return createClipRect(
+        box.top + top,
+        box.right - right,
+        box.bottom - bottom,
+        box.left + left
+    );
+}
+
+/**
+ * Tells whether provided element clips its overflowing content,
+ * i.e. whether its' scrollport acts as a clipping area.
+ *
+ * @param {Element} element
+ * @returns {Boolean}
+ */
+export function hasContentClip(element) {
+    const style = getStyle(element);
+
+    return (
+        hasPaintContainment(style) ||
+        isClippingOverflow(style.overflowX || style.overflow) ||
+        isClippingOverflow(style.overflowY || style.overflow)
+    );
+}
+
+/**
+ * Computes rectangle to which provided element clips its descendants.
+ * Takes into account per-axis "overflow" values (including the "clip" value),
+ * paint containment, "clip" property and the "inset()" shape of "clip-path".
+ *
+ * Axes that are not clipped have infinite edges.
+ *
+ * @param {Element} element
+ * @param {Array<Object>} [scrollMargins] - Margins that grow scrollports of
+ *      scroll containers, in the same form as the one used by "applyMargins".
+ * @returns {ClientRect|null} Returns null if element doesn't clip its content.
+ */
+export function getClipRect(element, scrollMargins) {
+    const style = getStyle(element);
+    const contains = hasPaintContainment(style);
+    // Fall back to the shorthand in browsers that don't support per-axis values.
+    // Note that the shorthand can't be used by default because in
+    // Firefox it's empty when values of axes are different.
+    const overflowX = style.overflowX || style.overflow;
+    const overflowY = style.overflowY || style.overflow;
+    const clipsX = contains || isClippingOverflow(overflowX);
+    const clipsY = contains || isClippingOverflow(overflowY);
+    const scrolls = isScrollingOverflow(overflowX) || isScrollingOverflow(overflowY);
+    const clip = parseClip(style);
+    const inset = parseInset(style);
+
+    if (!clipsX && !clipsY && !clip && !inset) {
+        return null;
+    }
+
+    const box = getRectangle(element);
+    const insetRect = inset && applyInset(box, inset);
+
+    // Overflowing content is clipped by the padding
+    // box of element excluding its' scrollbars.
+    let scrollport = clipsX || clipsY ? getScrollportRect(element, box) : box;
+
+    // Scroll margins are applied only to scrollports of scroll containers.
+    if (scrolls && scrollMargins) {
+        scrollport = applyMargins(scrollport, scrollMargins);
+    }
+
+    let result = createClipRect(
+        clipsY ? scrollport.top : -Infinity,
+        clipsX ? scrollport.right : Infinity,
+        clipsY ? scrollport.bottom : Infinity,
+        clipsX ? scrollport.left : -Infinity
+    );
+
+    if (clip) {
+        result = intersectClipRects(result, applyClip(box, clip));
+    }
+
+    if (insetRect) {
+        result = intersectClipRects(result, insetRect);
+    }
+
+    return result;
+}
+
+/**
+ * Tells whether element is a part of the containing block chain of its'
+ * descendant, i.e. whether element may clip it. Descendants in the normal
+ * flow (including relatively and sticky positioned ones) are clipped by all of
+ * theirs' ancestors. Absolutely positioned ones skip non-positioned ancestors and
+ * fixed positioned ones are attached to the viewport unless some ancestor has
+ * a transform, a filter or containment. Elements of the top layer are
+ * never clipped by theirs' ancestors.
+ *
+ * @param {Element} element - Ancestor element.
+ * @param {String} position - Value of the "position" property of descendant or
+ *      "top-layer" if descendant is rendered in the top layer.
+ * @returns {Boolean}
+ */
+export function isContainingBlock(element, position) {
+    if (position === 'top-layer') {
+        return false;
+    }
+
+    if (position !== 'absolute' && position !== 'fixed') {
+        return true;
+    }
+
+    const style = getStyle(element);
+
+    if (position === 'absolute' && style.position !== 'static') {
+        return true;
+    }
+
+    return hasLayoutContainment(style);
+}
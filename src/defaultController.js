@@ -0,0 +1,4 @@
+import IntersectionObserverController from './IntersectionObserverController';
+
+// This controllers' instance is shared by all of the polyfilled IntersectionObservers.
+export default new IntersectionObserverController();
@@ -0,0 +1,235 @@
+/**
+ * Returns parent of provided node in the composed tree, i.e. the tree that
+ * is actually rendered: slotted nodes are moved to theirs' assigned slots
+ * and shadow roots are replaced by theirs' hosts.
+ *
+ * @param {Node} node
+ * @returns {Node|null}
+ */
+export function getParentNode(node) {
+    if (node.assignedSlot) {
+        return node.assignedSlot;
+    }
+
+    const parent = node.parentNode;
+
+    // Document fragment with a host is a shadow root.
+    if (parent && parent.nodeType === 11 && parent.host) {
+        return parent.host;
+    }
+
+    return parent;
+}
+
+/**
+ * Tells whether target is a descendant of container
+ * (or the container itself) in the composed tree. Unlike
+ * "Node.contains" it crosses boundaries of shadow trees.
+ *
+ * @param {Node} container
+ * @param {Node} target
+ * @returns {Boolean}
+ */
+export function containsNode(container, target) {
+    let node = target;
+
+    while (node) {
+        if (node === container) {
+            return true;
+        }
+
+        node = getParentNode(node);
+    }
+
+    return false;
+}
+
+/**
+ * Returns the document or the shadow root that provided node belongs to.
+ *
+ * @param {Node} node
+ * @returns {(Document|ShadowRoot|Node)}
+ */
+export function getRootNode(node) {
+    if (typeof node.getRootNode === 'function') {
+        return node.getRootNode();
+    }
+
+    while (node.parentNode) {
+        node = node.parentNode;
+    }
+
+    return node;
+}
+
+/**
+ * Returns shadow roots that contain provided node in the composed tree,
+ * starting from the innermost one. Mutations of these trees and
+ * events that are not composed, e.g. "scroll", don't reach the document.
+ *
+ * @param {Node} node
+ * @returns {Array<ShadowRoot>}
+ */
+export function getShadowRoots(node) {
+    const roots = [];
+
+    while (node) {
+        const parent = node.parentNode;
+
+        if (parent && parent.nodeType === 11 && parent.host && !~roots.indexOf(parent)) {
+            roots.push(parent);
+        }
+
+        node = getParentNode(node);
+    }
+
+    return roots;
+}
+
+/**
+ * Tells whether element matches provided selector.
+ * Unsupported selectors are treated as non-matching ones.
+ *
+ * @param {Element} element
+ * @param {String} selector
+ * @returns {Boolean}
+ */
+function matchesSelector(element, selector) {
+    const matches =
+        element.matches ||
+        element.msMatchesSelector ||
+        element.webkitMatchesSelector;
+
+    try {
+        return !!matches && matches.call(element, selector);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Tells whether element is rendered in the top layer, i.e. whether
+ * it's a modal dialog or an open popover. Such elements are positioned
+ * relative to the viewport and are not clipped by theirs' ancestors.
+ *
+ * @param {Element} element
+ * @returns {Boolean}
+ */
+export function isInTopLayer(element) {
+    if (element.hasAttribute('popover')) {
+        return matchesSelector(element, ':popover-open');
+    }
+
+    return element.nodeName === 'DIALOG' && matchesSelector(element, ':modal');
+}
+
+/**
+ * Returns computed style of element. Style is requested from the window
+ * of elements' own document so that elements of other documents,
+ * e.g. frames of parent windows, are handled as well.
+ *
+ * @param {Element} element
+ * @returns {CSSStyleDeclaration}
+ */
+export function getStyle(element) {
+    const view = element.ownerDocument.defaultView || window;
+
+    return view.getComputedStyle(element);
+}
+
+/**
+ * Tells whether provided node is the root element of its' document.
+ *
+ * @param {Node} node
+ * @returns {Boolean}
+ */
+export function isDocumentElement(node) {
+    return !!node.ownerDocument && node === node.ownerDocument.documentElement;
+}
+
+/**
+ * Tells whether provided value is a document node.
+ *
+ * @param {*} node
+ * @returns {Boolean}
+ */
+export function isDocument(node) {
+    return !!node && node.nodeType === 9;
+}
+
+/**
+ * Returns element that scrolls the viewport of provided document. In quirks
+ * mode it's the body element whose client dimensions are the ones of viewport,
+ * while client dimensions of the root element represent the whole document.
+ *
+ * @param {Document} doc
+ * @returns {Element}
+ */
+export function getScrollingElement(doc) {
+    if (doc.scrollingElement) {
+        return doc.scrollingElement;
+    }
+
+    // Scrolling element is null in quirks mode when body has
+    // scrollable overflow, but it still reports viewport dimensions.
+    return doc.compatMode === 'BackCompat' && doc.body || doc.documentElement;
+}
+
+/**
+ * Returns element that represents viewport of provided document.
+ * Rectangle of this element is resolved to the viewport
+ * by the "getRectangle" function of geometry module.
+ *
+ * @param {Document} doc
+ * @returns {Element}
+ */
+export function getViewportElement(doc) {
+    return doc.documentElement;
+}
+
+/**
+ * Tells whether provided value is a DOM range.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+export function isRange(value) {
+    return !!window.Range && value instanceof window.Range;
+}
+
+/**
+ * Tells whether provided target is an element, i.e. neither a range, nor a virtual target.
+ *
+ * @param {(Element|Range|VirtualTarget)} target
+ * @returns {Boolean}
+ */
+export function isElement(target) {
+    return target.nodeType === 1;
+}
+
+/**
+ * Returns element that represents provided target in the DOM tree. For elements
+ * it's the element itself, ranges are represented by the closest element
+ * that contains both of theirs' boundary points and virtual targets
+ * are represented by theirs' host elements.
+ *
+ * @param {(Element|Range|VirtualTarget)} target
+ * @returns {Element|null}
+ */
+export function getTargetElement(target) {
+    if (isElement(target)) {
+        return target;
+    }
+
+    if (!isRange(target)) {
+        return target.host;
+    }
+
+    let node = target.commonAncestorContainer;
+
+    while (node && node.nodeType !== 1) {
+        node = getParentNode(node);
+    }
+
+    return node;
+}
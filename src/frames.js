@@ -0,0 +1,77 @@
+import {getStyle} from './dom';
+import {createRectangle, getScrollportRect} from './geometry';
+
+/**
+ * Returns element that embeds document of provided window.
+ * Frames of cross-origin documents are not accessible.
+ *
+ * @param {Window} win
+ * @returns {Element|null}
+ */
+export function getFrameElement(win) {
+    // Old browsers throw an error when
+    // accessing frames of other origins.
+    try {
+        return win.frameElement || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Returns a list of same-origin ancestor windows
+ * starting from the parent of current one.
+ *
+ * @returns {Array<Window>}
+ */
+export function getParentWindows() {
+    const windows = [];
+
+    let frame = getFrameElement(window);
+
+    while (frame) {
+        const win = frame.ownerDocument.defaultView;
+
+        windows.push(win);
+
+        frame = getFrameElement(win);
+    }
+
+    return windows;
+}
+
+/**
+ * Returns document of the top-most same-origin window.
+ * Its' viewport is the implicit root of IntersectionObservers.
+ *
+ * @returns {Document}
+ */
+export function getTopDocument() {
+    const windows = getParentWindows();
+
+    return windows.length ? windows[windows.length - 1].document : document;
+}
+
+/**
+ * Returns content box of frame element, i.e. the area
+ * where the viewport of nested document is displayed.
+ *
+ * @param {Element} frame
+ * @returns {ClientRect}
+ */
+export function getFrameContentRect(frame) {
+    const style = getStyle(frame);
+    const scrollport = getScrollportRect(frame);
+
+    const top = parseFloat(style.paddingTop) || 0;
+    const right = parseFloat(style.paddingRight) || 0;
+    const bottom = parseFloat(style.paddingBottom) || 0;
+    const left = parseFloat(style.paddingLeft) || 0;
+
+    return createRectangle(
+        scrollport.left + left,
+        scrollport.top + top,
+        scrollport.width - left - right,
+        scrollport.height - top - bottom
+    );
+}
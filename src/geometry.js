@@ -1,3 +1,22 @@
+import {getScrollingElement, isDocumentElement} from './dom';
+
+// Optional function that overrides rectangles of elements, e.g. in
+// environments without layout. See "setRectProvider" function.
+let rectProvider = null;
+
+/**
+ * Sets up function that will be asked for rectangles of elements before measuring
+ * them. It receives an element (or any other target) and might return either
+ * a rectangle in a form of {left, top, width, height} or a falsy value to
+ * fall back to the actual measurements. Rectangle of the root element
+ * of document is used as a viewport.
+ *
+ * @param {Function|null} provider
+ */
+export function setRectProvider(provider) {
+    rectProvider = provider;
+}
+
 /**
  * From provided rectangle creates a new one whose
  * properties are not enumerable, configurable or writable.
@@ -37,19 +56,167 @@ export function createRectangle(left = 0, top = 0, width = 0, height = 0) {
 /**
  * Returns client rectangle of provided element.
  * If element represents documentElement then returns
- * main viewport rectangle.
+ * the rectangle of its' documents' viewport.
+ *
+ * Rectangles returned by rectangle provider take precedence over measurements.
  *
  * @param {Element} target
  * @returns {ClientRect}
  */
 export function getRectangle(target) {
-    if (target === document.documentElement) {
-        return createRectangle(0, 0, target.clientWidth, target.clientHeight);
+    const rect = rectProvider && rectProvider(target);
+
+    if (rect) {
+        return createRectangle(rect.left, rect.top, rect.width, rect.height);
+    }
+
+    if (isDocumentElement(target)) {
+        // Dimensions of viewport are taken from the scrolling
+        // element which is not the root one in quirks mode.
+        const viewport = getScrollingElement(target.ownerDocument);
+
+        return createRectangle(0, 0, viewport.clientWidth, viewport.clientHeight);
     }
 
     return target.getBoundingClientRect();
 }
 
+/**
+ * Returns rectangle of the visual viewport of provided window, i.e. the part
+ * of the layout viewport that is actually visible on screen when page is
+ * pinch-zoomed or when the on-screen keyboard is shown. Its' offsets are
+ * relative to the layout viewport, just like the ones of client rectangles.
+ *
+ * @param {Window} win
+ * @returns {ClientRect|null} Returns null if visual viewport is not supported.
+ */
+export function getVisualViewportRect(win) {
+    const viewport = win.visualViewport;
+
+    if (!viewport) {
+        return null;
+    }
+
+    return createRectangle(viewport.offsetLeft, viewport.offsetTop, viewport.width, viewport.height);
+}
+
+/**
+ * Returns scrollport rectangle of provided element, i.e. its' padding
+ * box without borders and scrollbars. This is the area to
+ * which overflowing content of element gets clipped.
+ *
+ * Scale transformations of element are taken into account
+ * by comparing its' bounding rectangle with layout dimensions.
+ *
+ * @param {Element} target
+ * @param {ClientRect} [rect] - Bounding rectangle of element if it's already known.
+ * @returns {ClientRect}
+ */
+export function getScrollportRect(target, rect) {
+    if (isDocumentElement(target)) {
+        return getRectangle(target);
+    }
+
+    if (!rect) {
+        rect = getRectangle(target);
+    }
+
+    // Inline elements don't have client dimensions
+    // and they can't clip their content anyway.
+    if (!target.clientWidth && !target.clientHeight) {
+        return rect;
+    }
+
+    const scaleX = target.offsetWidth ? rect.width / target.offsetWidth : 1;
+    const scaleY = target.offsetHeight ? rect.height / target.offsetHeight : 1;
+
+    // Note that in RTL documents "clientLeft" also
+    // includes the width of vertical scrollbar.
+    return createRectangle(
+        rect.left + target.clientLeft * scaleX,
+        rect.top + target.clientTop * scaleY,
+        target.clientWidth * scaleX,
+        target.clientHeight * scaleY
+    );
+}
+
+/**
+ * Creates a copy of provided rectangle moved by the specified offsets.
+ *
+ * @param {ClientRect} rect
+ * @param {Number} offsetX
+ * @param {Number} offsetY
+ * @returns {ClientRect}
+ */
+export function translateRectangle(rect, offsetX, offsetY) {
+    return createRectangle(rect.left + offsetX, rect.top + offsetY, rect.width, rect.height);
+}
+
+/**
+ * Creates new rectangle from provided one whose
+ * dimensions will be modified by applying margins
+ * defined in a form of [[value: Number, pixels: Boolean], ...].
+ *
+ * @param {ClientRect} targetRect - Initial rectangle.
+ * @param {Array<Array>} margins - Margins data.
+ * @returns {ClientRect} Modified rectangle.
+ */
+export function applyMargins(targetRect, margins) {
+    margins = margins.map((margin, index) => {
+        let value = margin.value;
+
+        if (!margin.pixels) {
+            value *= index % 2 ? targetRect.width : targetRect.height;
+        }
+
+        return value;
+    });
+
+    const result = {
+        top: targetRect.top - margins[0],
+        right: targetRect.right + margins[1],
+        bottom: targetRect.bottom + margins[2],
+        left: targetRect.left - margins[3]
+    };
+
+    result.width = result.right - result.left;
+    result.height = result.bottom - result.top;
+
+    return result;
+}
+
+/**
+ * Computes the smallest rectangle that contains both of provided ones.
+ *
+ * @param {ClientRect} first
+ * @param {ClientRect} second
+ * @returns {ClientRect}
+ */
+export function getUnion(first, second) {
+    const left = Math.min(first.left, second.left);
+    const top = Math.min(first.top, second.top);
+    const right = Math.max(first.right, second.right);
+    const bottom = Math.max(first.bottom, second.bottom);
+
+    return createRectangle(left, top, right - left, bottom - top);
+}
+
+/**
+ * Tells whether the first rectangle fully contains the second one.
+ *
+ * @param {ClientRect} outer
+ * @param {ClientRect} inner
+ * @returns {Boolean}
+ */
+export function containsRect(outer, inner) {
+    return (
+        outer.top <= inner.top &&
+        outer.left <= inner.left &&
+        outer.right >= inner.right &&
+        outer.bottom >= inner.bottom
+    );
+}
+
 /**
  * Calculates area of rectangle.
  *
@@ -0,0 +1,208 @@
+import {createRectangle, getRectangle, translateRectangle} from './geometry';
+import {getClipRect, isContainingBlock} from './clipping';
+import {getParentNode, getStyle, getTargetElement, isDocumentElement, isElement, isInTopLayer} from './dom';
+import {getFrameElement, getFrameContentRect} from './frames';
+import {getLayoutData} from './layoutCache';
+
+/**
+ * Computes intersection rectangle between two rectangles.
+ *
+ * @param {ClientRect} rootRect - Rectangle of container element.
+ * @param {ClientRect} targetRect - Rectangle of target element.
+ * @returns {ClientRect} Intersection rectangle.
+ */
+export function computeIntersection(rootRect, targetRect) {
+    const left      = Math.max(targetRect.left, rootRect.left);
+    const right     = Math.min(targetRect.right, rootRect.right);
+    const top       = Math.max(targetRect.top, rootRect.top);
+    const bottom    = Math.min(targetRect.bottom, rootRect.bottom);
+
+    const width = right - left;
+    const height = bottom - top;
+
+    return createRectangle(left, top, width, height);
+}
+
+/**
+ * Creates a key under which clipping rectangle of element
+ * is cached for provided scroll margins.
+ *
+ * @param {Array<Object>} [scrollMargins]
+ * @returns {String}
+ */
+function getClipKey(scrollMargins) {
+    if (!scrollMargins) {
+        return 'clip';
+    }
+
+    return 'clip ' + scrollMargins.map(margin => {
+        return margin.value + (margin.pixels ? 'px' : '%');
+    }).join(' ');
+}
+
+/**
+ * Clips provided rectangle by the clipping area of element.
+ * Clipping areas of ancestors are shared by sibling targets,
+ * that's why they are computed once per pass of updates.
+ *
+ * @param {ClientRect} rect - Rectangle to be clipped.
+ * @param {Element} element - Element that might clip its' descendants.
+ * @param {Array<Object>} [scrollMargins] - Margins of scroll containers.
+ * @returns {ClientRect}
+ */
+function clipRectangle(rect, element, scrollMargins) {
+    const clipRect = getLayoutData(element, getClipKey(scrollMargins), () => {
+        return getClipRect(element, scrollMargins);
+    });
+
+    return clipRect ? computeIntersection(rect, clipRect) : rect;
+}
+
+/**
+ * Returns value that describes how element is positioned: either
+ * the value of its' "position" property or "top-layer" string
+ * if element is rendered in the top layer.
+ *
+ * @param {Element} element
+ * @returns {String}
+ */
+function getPosition(element) {
+    return isInTopLayer(element) ?
+        'top-layer' :
+        getStyle(element).position;
+}
+
+/**
+ * Cached version of the "getPosition" function that is used for ancestors.
+ *
+ * @param {Element} element
+ * @returns {String}
+ */
+function getAncestorPosition(element) {
+    return getLayoutData(element, 'position', () => getPosition(element));
+}
+
+/**
+ * Cached version of the "isContainingBlock" function of clipping module.
+ *
+ * @param {Element} element - Ancestor element.
+ * @param {String} position - The way descendant is positioned.
+ * @returns {Boolean}
+ */
+function isAncestorContainingBlock(element, position) {
+    return getLayoutData(element, 'containing block ' + position, () => {
+        return isContainingBlock(element, position);
+    });
+}
+
+/**
+ * Returns the first ancestor that might clip provided target along with
+ * the way target is positioned. Contents of ranges and virtual targets are
+ * laid out inside of theirs' container elements, which clip them as well.
+ *
+ * @param {(Element|Range|VirtualTarget)} target
+ * @returns {Array} A pair of [parent: Node, position: String].
+ */
+function getClippingStart(target) {
+    if (!isElement(target)) {
+        return [getTargetElement(target), 'static'];
+    }
+
+    return [getParentNode(target), getPosition(target)];
+}
+
+/**
+ * Clips target rectangle with each element of its' containing block chain
+ * up to the container, which itself is not applied. Ancestors
+ * are resolved via the composed tree.
+ *
+ * Scrollports of intermediate scroll containers are grown by scroll margins.
+ *
+ * @param {Element} container - Container element.
+ * @param {(Element|Range|VirtualTarget)} target - Target element, range or virtual target.
+ * @param {ClientRect} targetRect - Rectangle of target element.
+ * @param {Array<Object>} [scrollMargins] - Margins of scroll containers.
+ * @returns {ClientRect|null} Returns null if container is not
+ *      a part of targets' containing block chain.
+ */
+export function clipByAncestors(container, target, targetRect, scrollMargins) {
+    let [parent, position]  = getClippingStart(target),
+        intersecRect        = targetRect;
+
+    while (parent && parent !== container && parent.nodeType === 1) {
+        // Ancestors that are not containing blocks don't clip
+        // target, e.g. non-positioned ancestors of absolutely
+        // positioned elements or any ancestor of a modal dialog.
+        if (isAncestorContainingBlock(parent, position)) {
+            intersecRect = clipRectangle(intersecRect, parent, scrollMargins);
+            position = getAncestorPosition(parent);
+        }
+
+        parent = getParentNode(parent);
+    }
+
+    // Implicit root, i.e. the viewport, contains all of the elements
+    // while explicit one needs to be a part of the containing block chain.
+    if (!isDocumentElement(container) && !isAncestorContainingBlock(container, position)) {
+        return null;
+    }
+
+    return intersecRect;
+}
+
+/**
+ * Finds intersection rectangle of provided elements by clipping target
+ * rectangle with each element of its' containing block chain
+ * and with the rectangle of container at last.
+ *
+ * Scrollports of intermediate scroll containers are grown
+ * by scroll margins, while the container itself is not.
+ *
+ * @param {Element} container - Container element.
+ * @param {(Element|Range|VirtualTarget)} target - Target element, range or virtual target.
+ * @param {ClientRect} containterRect - Rectangle of container element.
+ * @param {ClientRect} targetRect - Rectangle of target element.
+ * @param {Array<Object>} [scrollMargins] - Margins of scroll containers.
+ * @returns {ClientRect|null} Returns null if container is not
+ *      a part of targets' containing block chain.
+ */
+export function getIntersection(container, target, containterRect, targetRect, scrollMargins) {
+    const intersecRect = clipByAncestors(container, target, targetRect, scrollMargins);
+
+    return intersecRect && computeIntersection(intersecRect, containterRect);
+}
+
+/**
+ * Clips rectangle of an element of the current document by frames of same-origin
+ * parent documents along with theirs' containing block chains and viewports.
+ * Viewport of the top-level document is represented by root rectangle.
+ *
+ * @param {ClientRect} rect - Rectangle that is already clipped by the viewport of current document.
+ * @param {ClientRect} rootRect - Rectangle of the top-level viewport with applied margins.
+ * @param {Array<Object>} [scrollMargins] - Margins of scroll containers.
+ * @returns {ClientRect} Rectangle in the coordinate space of the current document.
+ */
+export function clipByFrames(rect, rootRect, scrollMargins) {
+    let frame   = getFrameElement(window),
+        offsetX = 0,
+        offsetY = 0;
+
+    while (frame) {
+        const docElement = frame.ownerDocument.documentElement;
+        const parentFrame = getFrameElement(frame.ownerDocument.defaultView);
+        const viewportRect = parentFrame ? getRectangle(docElement) : rootRect;
+        const contentRect = getFrameContentRect(frame);
+
+        // Move rectangle to the coordinate space of the parent document.
+        rect = translateRectangle(rect, contentRect.left, contentRect.top);
+        rect = computeIntersection(rect, contentRect);
+        rect = getIntersection(docElement, frame, viewportRect, rect, scrollMargins);
+
+        offsetX += contentRect.left;
+        offsetY += contentRect.top;
+
+        frame = parentFrame;
+    }
+
+    return translateRectangle(rect, -offsetX, -offsetY);
+}
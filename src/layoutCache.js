@@ -0,0 +1,50 @@
+import {Map} from './shims/es6-collections';
+
+// Registry of elements and layout data computed for them during the
+// current pass of updates. It's null when there is no running pass.
+let cache = null;
+
+/**
+ * Starts a pass of updates during which layout data of elements, e.g. clipping
+ * rectangles of ancestors that are shared by many targets, is computed only once.
+ */
+export function startLayoutPass() {
+    cache = new Map();
+}
+
+/**
+ * Finishes the current pass of updates and drops its' data, as the
+ * layout might be changed before the next one, e.g. by scrolling.
+ */
+export function finishLayoutPass() {
+    cache = null;
+}
+
+/**
+ * Returns layout data of provided kind for element. Data is computed by provided
+ * function only once per pass of updates. Outside of passes it's computed on every call.
+ *
+ * @param {Element} element
+ * @param {String} key - Kind of data, e.g. "position".
+ * @param {Function} compute - Function that computes data.
+ * @returns {*}
+ */
+export function getLayoutData(element, key, compute) {
+    if (!cache) {
+        return compute();
+    }
+
+    let data = cache.has(element) ? cache.get(element) : null;
+
+    if (!data) {
+        data = {};
+
+        cache.set(element, data);
+    }
+
+    if (!data.hasOwnProperty(key)) {
+        data[key] = compute();
+    }
+
+    return data[key];
+}
@@ -0,0 +1,90 @@
+import now from './shims/performance.now';
+
+/**
+ * Schedulers are functions that are used by IntersectionObserverController
+ * to request updates of observers. Each of them accepts a callback and
+ * invokes it later with a timestamp of invocation as its' only argument.
+ */
+
+/**
+ * Creates scheduler that invokes callbacks with the specified delay.
+ * It's suitable for background tabs and embedded webviews
+ * in which animation frames might be throttled or paused.
+ *
+ * @param {Number} [interval = 100] - Delay in milliseconds.
+ * @returns {Function}
+ */
+export function createIntervalScheduler(interval = 100) {
+    return callback => {
+        setTimeout(() => callback(now()), interval);
+    };
+}
+
+/**
+ * Creates scheduler that invokes callbacks on the next animation
+ * frame. It falls back to an interval of 60 frames per
+ * second if requestAnimationFrame is not supported.
+ *
+ * @returns {Function}
+ */
+export function createFrameScheduler() {
+    if (typeof window.requestAnimationFrame !== 'function') {
+        return createIntervalScheduler(1000 / 60);
+    }
+
+    return callback => {
+        window.requestAnimationFrame(callback);
+    };
+}
+
+/**
+ * Creates scheduler that invokes callbacks when browser is idle, but
+ * not later than the specified timeout. It falls back to animation
+ * frames if requestIdleCallback is not supported.
+ *
+ * @param {Number} [timeout = 200] - Maximum delay in milliseconds.
+ * @returns {Function}
+ */
+export function createIdleScheduler(timeout = 200) {
+    if (typeof window.requestIdleCallback !== 'function') {
+        return createFrameScheduler();
+    }
+
+    return callback => {
+        window.requestIdleCallback(() => callback(now()), {timeout});
+    };
+}
+
+/**
+ * Creates scheduler that only accumulates callbacks. They are invoked
+ * synchronously when the "flush" method of scheduler is called.
+ * Callbacks requested during the flush are postponed until the next one.
+ *
+ * @returns {Function}
+ */
+export function createManualScheduler() {
+    let callbacks = [];
+
+    const scheduler = callback => {
+        callbacks.push(callback);
+    };
+
+    /**
+     * Invokes accumulated callbacks.
+     *
+     * @returns {Boolean} Returns "true" if there were callbacks to invoke.
+     */
+    scheduler.flush = () => {
+        const pending = callbacks;
+
+        callbacks = [];
+
+        for (const callback of pending) {
+            callback(now());
+        }
+
+        return !!pending.length;
+    };
+
+    return scheduler;
+}
@@ -0,0 +1,229 @@
+import {Map} from './shims/es6-collections';
+import {getRectangle, setRectProvider} from './geometry';
+import {getViewportElement, isDocument, isDocumentElement} from './dom';
+import {createManualScheduler} from './schedulers';
+import {setDelaysIgnored} from './IntersectionObservation';
+import {setVisibilityProvider} from './visibility';
+import controller from './defaultController';
+import IntersectionObserver from './IntersectionObserver';
+import IntersectionObserverEntry from './IntersectionObserverEntry';
+
+// Size of targets whose rectangles were not specified
+// when they are moved by the "setIntersecting" function.
+const defaultTargetSize = 100;
+
+// Rectangles of targets set up by tests.
+const rects = new Map();
+
+// Visibility of targets set up by tests.
+const visibility = new Map();
+
+let geometryProvider = null,
+    viewportRect = null,
+    installation = null;
+
+/**
+ * Returns rectangle of target specified by tests. Rectangles set up
+ * explicitly take precedence over the ones of geometry provider.
+ *
+ * @param {(Element|Range|VirtualTarget)} target
+ * @returns {Object|null}
+ */
+function getFakeRect(target) {
+    if (rects.has(target)) {
+        return rects.get(target);
+    }
+
+    const rect = geometryProvider && geometryProvider(target);
+
+    if (rect) {
+        return rect;
+    }
+
+    return isDocumentElement(target) ? viewportRect : null;
+}
+
+/**
+ * Returns visibility of target specified by tests. Fake geometry
+ * can't be hit-tested, so targets are visible by default.
+ *
+ * @param {(Element|Range|VirtualTarget)} target
+ * @returns {Boolean}
+ */
+function getFakeVisibility(target) {
+    return visibility.has(target) ? visibility.get(target) : true;
+}
+
+/**
+ * Restores global property of window. Properties
+ * that were not defined initially are removed.
+ *
+ * @param {Window} win
+ * @param {String} name
+ * @param {*} value - Initial value of property.
+ */
+function restoreGlobal(win, name, value) {
+    if (typeof value === 'undefined') {
+        delete win[name];
+    } else {
+        win[name] = value;
+    }
+}
+
+/**
+ * Sets up rectangle of target in a form of {left, top, width, height}
+ * relative to the viewport. Rectangle is removed if it's null.
+ *
+ * @param {(Element|Range)} target
+ * @param {Object|null} rect
+ */
+export function setRect(target, rect) {
+    if (rect) {
+        rects.set(target, rect);
+    } else {
+        rects.delete(target);
+    }
+}
+
+/**
+ * Sets up visibility of target that is reported to observers which track it. Note that
+ * targets are reported as visible only while they intersect with theirs' roots.
+ *
+ * @param {(Element|Range)} target
+ * @param {Boolean} value
+ */
+export function setVisible(target, value) {
+    visibility.set(target, value);
+}
+
+/**
+ * Sets up function that provides rectangles of targets which
+ * were not specified by the "setRect" function. It might return
+ * a falsy value to fall back to the actual measurements.
+ *
+ * @param {Function|null} provider
+ */
+export function setGeometryProvider(provider) {
+    geometryProvider = provider;
+}
+
+/**
+ * Sets up dimensions of the viewport, i.e. of the implicit root.
+ *
+ * @param {Number} width
+ * @param {Number} height
+ */
+export function setViewport(width, height) {
+    viewportRect = {left: 0, top: 0, width, height};
+}
+
+/**
+ * Removes rectangles and visibility of targets along with the
+ * geometry provider and restores the default 1024x768 viewport.
+ */
+export function reset() {
+    rects.clear();
+    visibility.clear();
+
+    geometryProvider = null;
+
+    setViewport(1024, 768);
+}
+
+/**
+ * Synchronously updates all of the observers and invokes
+ * theirs' callbacks with the queued entries.
+ */
+export function flush() {
+    controller.flush();
+}
+
+/**
+ * Moves target relatively to its' root so that the specified part of its'
+ * area intersects with it and delivers the resulting entries. Target keeps its'
+ * dimensions (if they were specified) and is moved vertically. Note that
+ * neither margins, nor clipping ancestors of target are taken into account.
+ *
+ * @param {(Element|Range)} target
+ * @param {Number} [ratio = 1] - Intersection ratio from 0 to 1. Zero ratio
+ *      moves target out of its' root.
+ * @param {(Element|Document)} [root] - Root of observers. Viewport is used by default.
+ */
+export function setIntersecting(target, ratio = 1, root = null) {
+    if (isDocument(root) || !root) {
+        root = getViewportElement(isDocument(root) ? root : document);
+    }
+
+    const rootRect = getRectangle(root);
+    const targetRect = getRectangle(target);
+
+    const width = Math.min(targetRect.width || defaultTargetSize, rootRect.width);
+    const height = Math.min(targetRect.height || defaultTargetSize, rootRect.height);
+
+    const top = ratio > 0 ?
+        rootRect.bottom - height * Math.min(ratio, 1) :
+        rootRect.bottom + height;
+
+    setRect(target, {left: rootRect.left, top, width, height});
+
+    flush();
+}
+
+/**
+ * Replaces global IntersectionObserver with the polyfilled one and makes it
+ * use fake geometry. Updates are performed only by the "flush" function.
+ * The "delay" option of observers is ignored, as updates are not
+ * throttled by the time that passes between them. Visibility of
+ * targets is set up by the "setVisible" function.
+ *
+ * @param {Window} [win = window] - Window whose globals will be replaced.
+ */
+export function install(win = window) {
+    if (installation) {
+        return;
+    }
+
+    installation = {
+        win,
+        scheduler: controller.scheduler,
+        IntersectionObserver: win.IntersectionObserver,
+        IntersectionObserverEntry: win.IntersectionObserverEntry
+    };
+
+    reset();
+
+    controller.scheduler = createManualScheduler();
+
+    setRectProvider(getFakeRect);
+    setDelaysIgnored(true);
+    setVisibilityProvider(getFakeVisibility);
+
+    win.IntersectionObserver = IntersectionObserver;
+    win.IntersectionObserverEntry = IntersectionObserverEntry;
+}
+
+/**
+ * Restores globals and the behavior of polyfill that were changed by the "install" function.
+ */
+export function uninstall() {
+    if (!installation) {
+        return;
+    }
+
+    const {win} = installation;
+
+    controller.scheduler = installation.scheduler;
+
+    setRectProvider(null);
+    setDelaysIgnored(false);
+    setVisibilityProvider(null);
+
+    restoreGlobal(win, 'IntersectionObserver', installation.IntersectionObserver);
+    restoreGlobal(win, 'IntersectionObserverEntry', installation.IntersectionObserverEntry);
+
+    installation = null;
+
+    reset();
+}
+
+export {IntersectionObserver, IntersectionObserverEntry};
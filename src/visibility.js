@@ -0,0 +1,144 @@
+import {containsNode, getParentNode, getRootNode, getStyle, getTargetElement} from './dom';
+
+// Optional function that overrides visibility of targets, e.g. in
+// environments without hit-testing. See "setVisibilityProvider" function.
+let visibilityProvider = null;
+
+/**
+ * Sets up function that will be asked for visibility of targets instead of
+ * computing it. It receives a target along with the rectangle of its'
+ * intersection and needs to return a boolean value.
+ *
+ * @param {Function|null} provider
+ */
+export function setVisibilityProvider(provider) {
+    visibilityProvider = provider;
+}
+
+/**
+ * Tells whether provided computed transform value represents
+ * either no transformation or a 2D translation, e.g. "matrix(1, 0, 0, 1, 10, 20)".
+ *
+ * @param {String} transform - Computed value of "transform" property.
+ * @returns {Boolean}
+ */
+function isTranslation(transform) {
+    if (!transform || transform === 'none') {
+        return true;
+    }
+
+    const [, values] = /^matrix\((.+)\)$/.exec(transform) || [];
+
+    if (!values) {
+        return false;
+    }
+
+    const [a, b, c, d] = values.split(',').map(parseFloat);
+
+    return a === 1 && b === 0 && c === 0 && d === 1;
+}
+
+/**
+ * Tells whether provided element or one of its ancestors
+ * has a non-1 opacity, a filter or a transform that is not a 2D translation.
+ * Any of them may distort the way target is being displayed.
+ *
+ * @param {Element} target
+ * @returns {Boolean}
+ */
+function hasVisualEffects(target) {
+    let node = target;
+
+    while (node && node.nodeType === 1) {
+        const style = getStyle(node);
+        const filter = style.filter || style.webkitFilter;
+        const transform = style.transform || style.webkitTransform;
+
+        if (parseFloat(style.opacity) < 1) {
+            return true;
+        }
+
+        if (filter && filter !== 'none' || !isTranslation(transform)) {
+            return true;
+        }
+
+        node = getParentNode(node);
+    }
+
+    return false;
+}
+
+/**
+ * Creates a list of points that will be used for hit-testing of provided rectangle:
+ * its center along with four corners moved one pixel inwards.
+ *
+ * @param {ClientRect} rect
+ * @returns {Array<Array<Number>>} A list of [x, y] pairs.
+ */
+function getHitTestPoints(rect) {
+    const insetX = Math.min(1, rect.width / 2);
+    const insetY = Math.min(1, rect.height / 2);
+
+    const left = rect.left + insetX;
+    const right = rect.right - insetX;
+    const top = rect.top + insetY;
+    const bottom = rect.bottom - insetY;
+
+    return [
+        [rect.left + rect.width / 2, rect.top + rect.height / 2],
+        [left, top],
+        [right, top],
+        [left, bottom],
+        [right, bottom]
+    ];
+}
+
+/**
+ * Tells whether some part of provided rectangle is covered by other elements.
+ * Note that elements with "pointer-events: none" are transparent for
+ * hit-testing and thus can't be detected as occluding ones.
+ *
+ * @param {Element} target - Element whose visibility is being checked.
+ * @param {ClientRect} rect - Intersection rectangle of target.
+ * @returns {Boolean}
+ */
+function isOccluded(target, rect) {
+    let scope = getRootNode(target);
+
+    // Hit-testing of the document retargets elements of shadow
+    // trees to theirs' hosts, so it needs to be performed
+    // against the shadow root that contains the target.
+    if (typeof scope.elementFromPoint !== 'function') {
+        scope = document;
+    }
+
+    return getHitTestPoints(rect).some(([x, y]) => {
+        const element = scope.elementFromPoint(x, y);
+
+        // Points that lie outside of the viewport can't be tested
+        // and thus are treated as invisible ones.
+        return !element || !containsNode(target, element);
+    });
+}
+
+/**
+ * Computes visibility of the target as it is defined by the second
+ * version of IntersectionObserver spec: target needs to be neither
+ * occluded by other content, nor altered by opacity, filters or transforms.
+ *
+ * Ranges and virtual targets are checked by means of the elements that contain them.
+ * Visibility returned by visibility provider takes precedence over computations.
+ *
+ * @param {(Element|Range|VirtualTarget)} target - Target whose visibility needs to be computed.
+ * @param {ClientRect} intersecRect - Rectangle of targets' intersection with its root.
+ * @returns {Boolean}
+ */
+export function isVisible(target, intersecRect) {
+    if (visibilityProvider) {
+        return visibilityProvider(target, intersecRect);
+    }
+
+    const element = getTargetElement(target);
+
+    return !hasVisualEffects(element) && !isOccluded(element, intersecRect);
+}
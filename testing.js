@@ -0,0 +1,15 @@
+// Helpers for tests of components that rely on IntersectionObserver.
+// They are exported separately as they are not meant to be used in production.
+export {
+    install,
+    uninstall,
+    reset,
+    flush,
+    setRect,
+    setGeometryProvider,
+    setViewport,
+    setIntersecting,
+    setVisible,
+    IntersectionObserver,
+    IntersectionObserverEntry
+} from './src/testing';
@@ -0,0 +1,108 @@
+import FrameBridgeHost from '../src/FrameBridgeHost';
+import {SUBSCRIBE, createMessage, parseMessage} from '../src/bridgeMessages';
+
+const timeout = 300;
+
+let frame,
+    host = null;
+
+function appendFrame() {
+    frame = document.createElement('iframe');
+
+    frame.style.cssText =
+        'position: absolute; top: 0px; left: 0px; width: 100px; height: 50px; border: 0px;';
+
+    document.body.appendChild(frame);
+}
+
+function removeFrame() {
+    document.body.removeChild(frame);
+
+    frame = null;
+}
+
+function postFromFrame(message) {
+    const frameDoc = frame.contentDocument;
+    const script = frameDoc.createElement('script');
+
+    // Message needs to be posted by the script of frame
+    // so that frames' window is the source of event.
+    script.text = 'parent.postMessage(' + JSON.stringify(message) + ', "*");';
+
+    frameDoc.body.appendChild(script);
+}
+
+describe('FrameBridgeHost', () => {
+    beforeEach(() => {
+        appendFrame();
+    });
+
+    afterEach(() => {
+        if (host) {
+            host.disconnect();
+        }
+
+        host = null;
+
+        removeFrame();
+    });
+
+    it('throws an exception if origins is not an array', () => {
+        expect(() => {
+            new FrameBridgeHost('https://example.com');
+        }).toThrowError(/not an array/i);
+    });
+
+    it('reports visible part of the viewport to subscribed frames', done => {
+        host = new FrameBridgeHost();
+
+        frame.contentWindow.addEventListener('message', event => {
+            const message = parseMessage(event.data);
+
+            expect(message.type).toBe('viewport');
+
+            expect(message.rect.left).toBe(0);
+            expect(message.rect.top).toBe(0);
+            expect(message.rect.width).toBe(100);
+            expect(message.rect.height).toBe(50);
+
+            done();
+        });
+
+        window.scrollTo(0, 0);
+
+        postFromFrame(createMessage(SUBSCRIBE));
+    });
+
+    it('reports hidden frames', done => {
+        host = new FrameBridgeHost();
+
+        frame.style.top = '-100px';
+
+        frame.contentWindow.addEventListener('message', event => {
+            expect(parseMessage(event.data).rect).toBe(null);
+
+            done();
+        });
+
+        window.scrollTo(0, 0);
+
+        postFromFrame(createMessage(SUBSCRIBE));
+    });
+
+    it('ignores frames of not allowed origins', done => {
+        const spy = jasmine.createSpy();
+
+        host = new FrameBridgeHost(['https://example.com']);
+
+        frame.contentWindow.addEventListener('message', spy);
+
+        postFromFrame(createMessage(SUBSCRIBE));
+
+        setTimeout(() => {
+            expect(spy).not.toHaveBeenCalled();
+
+            done();
+        }, timeout);
+    });
+});
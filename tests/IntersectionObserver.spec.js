@@ -1,5 +1,9 @@
 import IntersectionObserver from '../src/IntersectionObserver';
 import IntersectionObserverEntry from '../src/IntersectionObserverEntry';
+import {VIEWPORT, createMessage, parseMessage} from '../src/bridgeMessages';
+import {getTopDocument} from '../src/frames';
+import {getLayoutData} from '../src/layoutCache';
+import {createManualScheduler} from '../src/schedulers';
 
 const emptyFn = () => {};
 const css = `
@@ -154,9 +158,15 @@ describe('IntersectionObserver', () => {
 
             observer = new IntersectionObserver(emptyFn, { root: document.body });
             expect(observer.root).toEqual(document.body);
+
+            observer = new IntersectionObserver(emptyFn, { root: null });
+            expect(observer.root).toEqual(null);
+
+            observer = new IntersectionObserver(emptyFn, { root: document });
+            expect(observer.root).toBe(document);
         });
 
-        it('throws an exception if root is not of type Element', () => {
+        it('throws an exception if root is neither an Element nor a Document', () => {
             expect(() => {
                 new IntersectionObserver(emptyFn, {
                     root: {}
@@ -297,6 +307,104 @@ describe('IntersectionObserver', () => {
             });
         });
 
+        describe('scrollMargin member', () => {
+            it('parsed correctly', () => {
+                observer = new IntersectionObserver(emptyFn, {});
+                expect(observer.scrollMargin).toBe('0px 0px 0px 0px');
+
+                observer = new IntersectionObserver(emptyFn, {
+                    scrollMargin: '5px 10%'
+                });
+                expect(observer.scrollMargin).toBe('5px 10% 5px 10%');
+
+                observer = new IntersectionObserver(emptyFn, {
+                    scrollMargin: '5px    10%  -100px -8%'
+                });
+                expect(observer.scrollMargin).toBe('5px 10% -100px -8%');
+            });
+
+            it('throws an exception if value is invalid', () => {
+                expect(() => {
+                    new IntersectionObserver(emptyFn, {
+                        scrollMargin: '20rm'
+                    });
+                }).toThrowError(/scrollMargin must be specified in pixels or percent/i);
+
+                expect(() => {
+                    new IntersectionObserver(emptyFn, {
+                        scrollMargin: '1px 2px 3px 4px 5px'
+                    });
+                }).toThrowError(/Extra text found at the end of scrollMargin/i);
+            });
+
+            it('is not writable', () => {
+                observer = new IntersectionObserver(emptyFn, {
+                    scrollMargin: '1px 2px 3px 4px'
+                });
+
+                try {
+                    observer.scrollMargin = '10px';
+                } catch (e) {}
+
+                expect(observer.scrollMargin).toEqual('1px 2px 3px 4px');
+            });
+        });
+
+        describe('trackVisibility and delay members', () => {
+            it('parsed correctly', () => {
+                observer = new IntersectionObserver(emptyFn, {});
+                expect(observer.trackVisibility).toBe(false);
+                expect(observer.delay).toBe(0);
+
+                observer = new IntersectionObserver(emptyFn, { delay: -10 });
+                expect(observer.delay).toBe(0);
+
+                observer = new IntersectionObserver(emptyFn, { delay: '50' });
+                expect(observer.delay).toBe(50);
+
+                observer = new IntersectionObserver(emptyFn, {
+                    trackVisibility: true,
+                    delay: 100
+                });
+                expect(observer.trackVisibility).toBe(true);
+                expect(observer.delay).toBe(100);
+            });
+
+            it('throws an exception if delay is non-finite', () => {
+                expect(() => {
+                    new IntersectionObserver(emptyFn, { delay: 'foo' });
+                }).toThrowError(/non-finite/i);
+            });
+
+            it('throws an exception if visibility is tracked with a small delay', () => {
+                expect(() => {
+                    new IntersectionObserver(emptyFn, { trackVisibility: true });
+                }).toThrowError(/at least 100/i);
+
+                expect(() => {
+                    new IntersectionObserver(emptyFn, {
+                        trackVisibility: true,
+                        delay: 99
+                    });
+                }).toThrowError(/at least 100/i);
+            });
+
+            it('are not writable', () => {
+                observer = new IntersectionObserver(emptyFn, {
+                    trackVisibility: true,
+                    delay: 100
+                });
+
+                try {
+                    observer.trackVisibility = false;
+                    observer.delay = 0;
+                } catch (e) {}
+
+                expect(observer.trackVisibility).toBe(true);
+                expect(observer.delay).toBe(100);
+            });
+        });
+
         describe('thresholds member', () => {
             it('parsed correctly', () => {
                 observer = new IntersectionObserver(emptyFn, {});
@@ -492,7 +600,7 @@ describe('IntersectionObserver', () => {
             observer.observe(elements.target1);
         });
 
-        it('does not trigger if target does not intersect when observation begins', done => {
+        it('triggers if target does not intersect when observation begins', done => {
             const spy = jasmine.createSpy();
 
             observer = new IntersectionObserver(spy, {
@@ -504,7 +612,13 @@ describe('IntersectionObserver', () => {
             observer.observe(elements.target2);
 
             setTimeout(() => {
-                expect(spy).not.toHaveBeenCalled();
+                const entries = getEntries(spy.calls.mostRecent());
+
+                expect(spy).toHaveBeenCalledTimes(1);
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBe(0);
+                expect(entries[0].isIntersecting).toBe(false);
+
                 done();
             }, timeout);
         });
@@ -555,686 +669,2260 @@ describe('IntersectionObserver', () => {
             }], done);
         });
 
-        it('observes one target at a single threshold correctly', done => {
-            const spy = jasmine.createSpy();
-
-            observer = new IntersectionObserver(spy, {
-                root: elements.root,
-                threshold: 0.5
-            });
+        it('handles per-axis overflow of container elements', done => {
+            elements.container2.style.height = '100px';
+            elements.container2.style.overflowX = 'clip';
+            elements.container2.style.overflowY = 'visible';
 
-            observer.observe(elements.target1);
+            // Fall back to "hidden" value in browsers that don't support
+            // "clip" value. It makes both of the axes clipped.
+            if (elements.container2.style.overflowX !== 'clip') {
+                elements.container2.style.overflowX = 'hidden';
+            }
 
-            runSequence([done => {
-                elements.target1.style.left = '-5px';
+            elements.target1.style.top = '150px';
+            elements.target1.style.left = '-10px';
 
-                setTimeout(() => {
-                    const entries = getEntries(spy.calls.mostRecent());
+            observer = new IntersectionObserver(entries => {
+                const clipsY = window.getComputedStyle(elements.container2).overflowY !== 'visible';
 
-                    expect(spy).toHaveBeenCalledTimes(1);
-                    expect(entries.length).toBe(1);
-                    expect(entries[0].intersectionRatio).toBeGreaterThan(0.5);
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBe(clipsY ? 0 : 0.5);
 
-                    done();
-                }, timeout);
-            }, done => {
-                elements.target1.style.left = '-15px';
+                done();
+            }, {
+                root: elements.root
+            });
 
-                setTimeout(() => {
-                    const entries = getEntries(spy.calls.mostRecent());
+            observer.observe(elements.target1);
+        });
 
-                    expect(spy).toHaveBeenCalledTimes(2);
-                    expect(entries.length).toBe(1);
-                    expect(entries[0].intersectionRatio).toBeLessThan(0.5);
+        it('applies scrollMargin to scroll containers', done => {
+            elements.target1.style.left = '-10px';
 
-                    done();
-                }, timeout);
-            }, done => {
-                elements.target1.style.left = '-25px';
+            observer = new IntersectionObserver(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBe(1);
 
-                setTimeout(() => {
-                    expect(spy).toHaveBeenCalledTimes(2);
-                    done();
-                }, timeout);
-            }, done => {
-                elements.target1.style.left = '-10px';
+                done();
+            }, {
+                root: elements.root,
+                scrollMargin: '0px 0px 0px 10px'
+            });
 
-                setTimeout(() => {
-                    const entries = getEntries(spy.calls.mostRecent());
+            observer.observe(elements.target1);
+        });
 
-                    expect(spy).toHaveBeenCalledTimes(3);
-                    expect(entries.length).toBe(1);
-                    expect(entries[0].intersectionRatio).toBe(0.5);
+        it('doesn\'t apply scrollMargin to the root', done => {
+            elements.container2.style.overflow = 'visible';
+            elements.root.style.overflow = 'hidden';
 
-                    done();
-                }, timeout);
-            }], done);
-        });
+            elements.target1.style.left = '190px';
 
-        it('observes multiple targets at multiple thresholds correctly', done => {
-            const spy = jasmine.createSpy();
+            observer = new IntersectionObserver(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBe(0.5);
 
-            observer = new IntersectionObserver(spy, {
+                done();
+            }, {
                 root: elements.root,
-                threshold: [1, 0.5, 0]
+                scrollMargin: '20px'
             });
 
-            runSequence([done => {
-                elements.target1.style.top = '0px';
-                elements.target1.style.left = '-15px';
-
-                elements.target2.style.top = '-5px';
-                elements.target2.style.left = '0px';
+            observer.observe(elements.target1);
+        });
 
-                elements.target3.style.top = '0px';
-                elements.target3.style.left = '205px';
+        it('measures fragments of inline targets if it\'s requested', done => {
+            const target = document.createElement('span');
 
-                observer.observe(elements.target1);
-                observer.observe(elements.target2);
-                observer.observe(elements.target3);
+            target.style.cssText = 'font: 20px/190px monospace;';
+            target.innerHTML = 'xxxx<br>xxxx';
 
-                setTimeout(() => {
-                    const entries = getEntries(spy.calls.mostRecent());
+            elements.container2.appendChild(target);
 
-                    expect(spy).toHaveBeenCalledTimes(1);
-                    expect(entries.length).toBe(2);
+            observer = new IntersectionObserver(entries => {
+                const [first] = target.getClientRects();
+                const intersecRect = entries[0].intersectionRect;
 
-                    expect(entries[0].target).toBe(elements.target1);
-                    expect(entries[0].intersectionRatio).toBe(0.25);
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBeCloseTo(0.5, 2);
 
-                    expect(entries[1].target).toBe(elements.target2);
-                    expect(entries[1].intersectionRatio).toBe(0.75);
+                for (const key of ['top', 'right', 'bottom', 'left']) {
+                    expect(intersecRect[key]).toBeCloseTo(first[key], 2);
+                }
 
-                    done();
-                }, timeout);
-            }, done => {
-                elements.target1.style.top = '0px';
-                elements.target1.style.left = '-5px';
+                done();
+            }, {
+                root: elements.root,
+                measureFragments: true
+            });
 
-                elements.target2.style.top = '-15px';
-                elements.target2.style.left = '0px';
+            expect(observer.measureFragments).toBe(true);
 
-                elements.target3.style.top = '0px';
-                elements.target3.style.left = '195px';
+            observer.observe(target);
+        });
 
-                setTimeout(() => {
-                    const entries = getEntries(spy.calls.mostRecent());
+        it('doesn\'t count text of elements selected by ranges twice', done => {
+            const range = document.createRange();
+            const wrapper = document.createElement('div');
 
-                    expect(spy).toHaveBeenCalledTimes(2);
-                    expect(entries.length).toBe(3);
+            wrapper.style.cssText = 'position: absolute; top: 100px; left: 0px; width: 100px; height: 200px;';
+            wrapper.innerHTML = '<span style="font: 20px/20px monospace;">xxxx</span>';
 
-                    expect(entries[0].target).toBe(elements.target1);
-                    expect(entries[0].intersectionRatio).toBe(0.75);
+            elements.container2.appendChild(wrapper);
 
-                    expect(entries[1].target).toBe(elements.target2);
-                    expect(entries[1].intersectionRatio).toBe(0.25);
+            range.selectNode(wrapper);
 
-                    expect(entries[2].target).toBe(elements.target3);
-                    expect(entries[2].intersectionRatio).toBe(0.25);
-                    done();
-                }, timeout);
-            }, done => {
-                elements.target1.style.top = '0px';
-                elements.target1.style.left = '5px';
+            observer = new IntersectionObserver(entries => {
+                // Only the lower half of wrapper is clipped,
+                // while its' text is fully visible.
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBeCloseTo(0.5, 2);
 
-                elements.target2.style.top = '-25px';
-                elements.target2.style.left = '0px';
+                done();
+            }, {
+                root: elements.root,
+                measureFragments: true
+            });
 
-                elements.target3.style.top = '0px';
-                elements.target3.style.left = '185px';
+            observer.observe(range);
+        });
 
-                setTimeout(() => {
-                    const entries = getEntries(spy.calls.mostRecent());
+        it('observes ranges', done => {
+            const range = document.createRange();
 
-                    expect(spy).toHaveBeenCalledTimes(3);
-                    expect(entries.length).toBe(3);
+            elements.target1.style.left = '-10px';
+            elements.target1.textContent = 'foo';
 
-                    expect(entries[0].target).toBe(elements.target1);
-                    expect(entries[0].intersectionRatio).toBe(1);
+            range.selectNodeContents(elements.target1);
 
-                    expect(entries[1].target).toBe(elements.target2);
-                    expect(entries[1].intersectionRatio).toBe(0);
+            observer = new IntersectionObserver(entries => {
+                const rangeRect = range.getBoundingClientRect();
+                const containerRect = elements.container2.getBoundingClientRect();
+                const visibleWidth = rangeRect.right - containerRect.left;
 
-                    expect(entries[2].target).toBe(elements.target3);
-                    expect(entries[2].intersectionRatio).toBe(0.75);
+                expect(entries.length).toBe(1);
+                expect(entries[0].target).toBe(range);
+                expect(entries[0].isIntersecting).toBe(true);
+                expect(entries[0].intersectionRatio).toBeCloseTo(visibleWidth / rangeRect.width, 2);
 
-                    done();
-                }, timeout);
-            }, done => {
-                elements.target1.style.top = '0px';
-                elements.target1.style.left = '15px';
+                done();
+            }, {
+                root: elements.root
+            });
 
-                elements.target2.style.top = '-35px';
-                elements.target2.style.left = '0px';
+            observer.observe(range);
+        });
 
-                elements.target3.style.top = '0px';
-                elements.target3.style.left = '175px';
+        it('treats collapsed ranges as non-intersecting', done => {
+            const range = document.createRange();
 
-                setTimeout(() => {
-                    const entries = getEntries(spy.calls.mostRecent());
+            range.selectNodeContents(elements.target1);
+            range.collapse(true);
 
-                    expect(spy).toHaveBeenCalledTimes(4);
-                    expect(entries.length).toBe(1);
+            observer = new IntersectionObserver(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].isIntersecting).toBe(false);
+                expect(entries[0].intersectionRatio).toBe(0);
 
-                    expect(entries[0].target).toBe(elements.target3);
-                    expect(entries[0].intersectionRatio).toBe(1);
+                done();
+            }, {
+                root: elements.root
+            });
 
-                    done();
-                }, timeout);
-            }], done);
+            observer.observe(range);
         });
 
-        it('handles rootMargin properly', done => {
-            elements.container2.style.overflow = 'visible';
+        it('observes virtual targets', done => {
+            const region = {left: -10, top: 0, width: 20, height: 20};
 
-            elements.target1.style.top = '0px';
-            elements.target1.style.left = '-20px';
+            observer = new IntersectionObserver(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].target.id).toBe('region');
+                expect(entries[0].target.host).toBe(elements.container2);
+                expect(entries[0].intersectionRatio).toBe(0.5);
 
-            elements.target2.style.top = '-20px';
-            elements.target2.style.left = '0px';
+                done();
+            }, {
+                root: elements.root
+            });
 
-            elements.target3.style.top = '0px';
-            elements.target3.style.left = '200px';
+            observer.observeVirtual('region', elements.container2, host => {
+                expect(host).toBe(elements.container2);
 
-            elements.target4.style.top = '180px';
-            elements.target4.style.left = '180px';
+                return region;
+            });
+        });
 
-            runSequence([done => {
-                observer = new IntersectionObserver(entries => {
-                    expect(entries.length).toBe(4);
+        it('replaces virtual targets with the same id', done => {
+            const spy = jasmine.createSpy();
 
-                    expect(entries[0].target).toBe(elements.target1);
-                    expect(entries[0].intersectionRatio).toBe(1);
+            observer = new IntersectionObserver(spy, {
+                root: elements.root
+            });
 
-                    expect(entries[1].target).toBe(elements.target2);
-                    expect(entries[1].intersectionRatio).toBeCloseTo(0.5, 6);
+            observer.observeVirtual('region', elements.container2, () => {
+                return {left: 0, top: 0, width: 20, height: 20};
+            });
 
-                    expect(entries[2].target).toBe(elements.target3);
-                    expect(entries[2].intersectionRatio).toBeCloseTo(0.5, 6);
+            observer.observeVirtual('region', elements.container2, () => {
+                return {left: 0, top: 300, width: 20, height: 20};
+            });
 
-                    expect(entries[3].target).toBe(elements.target4);
-                    expect(entries[3].intersectionRatio).toBe(1);
+            setTimeout(() => {
+                const entries = getEntries(spy.calls.mostRecent());
 
-                    observer.disconnect();
+                expect(spy).toHaveBeenCalledTimes(1);
+                expect(entries.length).toBe(1);
+                expect(entries[0].isIntersecting).toBe(false);
 
-                    done();
-                }, {
-                    root: elements.root,
-                    rootMargin: '10px'
-                });
+                observer.unobserveVirtual('region');
 
-                observer.observe(elements.target1);
-                observer.observe(elements.target2);
-                observer.observe(elements.target3);
-                observer.observe(elements.target4);
-            }, done => {
-                observer = new IntersectionObserver(entries => {
-                    expect(entries.length).toBe(3);
+                done();
+            }, timeout);
+        });
 
-                    expect(entries[0].target).toBe(elements.target1);
-                    expect(entries[0].intersectionRatio).toBe(0.5);
+        it('handles "clip" property of container elements', done => {
+            elements.container2.style.overflow = 'visible';
+            elements.container2.style.clip = 'rect(0px, 10px, 200px, 0px)';
 
-                    expect(entries[1].target).toBe(elements.target3);
-                    expect(entries[1].intersectionRatio).toBe(0.5);
+            observer = new IntersectionObserver(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBe(0.5);
 
-                    expect(entries[2].target).toBe(elements.target4);
-                    expect(entries[2].intersectionRatio).toBe(0.5);
+                done();
+            }, {
+                root: elements.root
+            });
 
-                    observer.disconnect();
+            observer.observe(elements.target1);
+        });
 
-                    done();
-                }, {
-                    root: elements.root,
-                    rootMargin: '-10px 10%'
-                });
+        if (typeof document.body.style.contain !== 'undefined') {
+            it('handles paint containment of container elements', done => {
+                elements.container2.style.overflow = 'visible';
+                elements.container2.style.contain = 'paint';
 
-                observer.observe(elements.target1);
-                observer.observe(elements.target2);
-                observer.observe(elements.target3);
-                observer.observe(elements.target4);
-            }, done => {
-                observer = new IntersectionObserver(entries => {
-                    expect(entries.length).toBe(2);
+                elements.target1.style.left = '-10px';
 
-                    expect(entries[0].target).toBe(elements.target1);
+                observer = new IntersectionObserver(entries => {
+                    expect(entries.length).toBe(1);
                     expect(entries[0].intersectionRatio).toBe(0.5);
 
-                    expect(entries[1].target).toBe(elements.target4);
-                    expect(entries[1].intersectionRatio).toBe(0.5);
-
-                    observer.disconnect();
-
                     done();
                 }, {
-                    root: elements.root,
-                    rootMargin: '-5% -2.5% 0px'
+                    root: elements.root
                 });
 
                 observer.observe(elements.target1);
-                observer.observe(elements.target2);
-                observer.observe(elements.target3);
-                observer.observe(elements.target4);
-            }, done => {
-                observer = new IntersectionObserver(entries => {
-                    expect(entries.length).toBe(3);
-
-                    expect(entries[0].target).toBe(elements.target1);
-                    expect(entries[0].intersectionRatio).toBe(0.5);
-
-                    expect(entries[1].target).toBe(elements.target2);
-                    expect(entries[1].intersectionRatio).toBeCloseTo(0.5, 6);
+            });
+        }
 
-                    expect(entries[2].target).toBe(elements.target4);
-                    expect(entries[2].intersectionRatio).toBe(0.25);
+        if (typeof document.body.style.clipPath !== 'undefined') {
+            it('handles "inset()" clip-path of container elements', done => {
+                elements.container2.style.overflow = 'visible';
+                elements.container2.style.clipPath = 'inset(0px 0px 190px 0px)';
 
-                    observer.disconnect();
+                observer = new IntersectionObserver(entries => {
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].intersectionRatio).toBe(0.5);
 
                     done();
                 }, {
-                    root: elements.root,
-                    rootMargin: '5% -2.5% -10px -190px'
+                    root: elements.root
                 });
 
                 observer.observe(elements.target1);
-                observer.observe(elements.target2);
-                observer.observe(elements.target3);
-                observer.observe(elements.target4);
-            }], done);
-        });
-
-        it('handles targets on the boundary of root', done => {
-            const spy = jasmine.createSpy();
-
-            observer = new IntersectionObserver(spy, {
-                root: elements.root
             });
+        }
 
-            runSequence([done => {
-                    elements.target1.style.top = '0px';
-                    elements.target1.style.left = '-21px';
-
-                    elements.target2.style.top = '-20px';
-                    elements.target2.style.left = '0px';
-
-                    observer.observe(elements.target1);
-                    observer.observe(elements.target2);
+        it('clips content by the padding box of container elements', done => {
+            elements.container2.style.border = '10px solid #000';
+            elements.target1.style.left = '-10px';
 
-                    setTimeout(() => {
-                        const entries = getEntries(spy.calls.mostRecent());
+            observer = new IntersectionObserver(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBe(0.5);
 
-                        expect(spy).toHaveBeenCalledTimes(1);
-                        expect(entries.length).toBe(1);
+                done();
+            }, {
+                root: elements.root
+            });
 
-                        expect(entries[0].intersectionRatio).toBe(0);
-                        expect(entries[0].target).toBe(elements.target2);
+            observer.observe(elements.target1);
+        });
 
-                        done();
-                    }, timeout);
-                }, done => {
-                    elements.target1.style.top = '0px';
-                    elements.target1.style.left = '-20px';
-                    elements.target2.style.top = '-21px';
-                    elements.target2.style.left = '0px';
+        it('uses padding box of root that clips its content', done => {
+            elements.container2.style.border = '10px solid #000';
+            elements.target1.style.left = '-10px';
 
-                    setTimeout(() => {
-                        const entries = getEntries(spy.calls.mostRecent());
+            observer = new IntersectionObserver(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBe(0.5);
 
-                        expect(spy).toHaveBeenCalledTimes(2);
-                        expect(entries.length).toBe(2);
+                expect(entries[0].rootBounds.width).toBe(200);
+                expect(entries[0].rootBounds.height).toBe(200);
 
-                        expect(entries[0].intersectionRatio).toBe(0);
-                        expect(entries[0].target).toBe(elements.target1);
+                done();
+            }, {
+                root: elements.container2
+            });
 
-                        expect(entries[1].intersectionRatio).toBe(0);
-                        expect(entries[1].target).toBe(elements.target2);
+            observer.observe(elements.target1);
+        });
 
-                        done();
-                    }, timeout);
-                }, done => {
-                    elements.target1.style.top = '-20px';
-                    elements.target1.style.left = '200px';
+        it('doesn\'t clip fixed positioned targets by theirs\' ancestors', done => {
+            elements.target1.style.position = 'fixed';
+            elements.target1.style.transform = 'none';
 
-                    elements.target2.style.top = '200px';
-                    elements.target2.style.left = '200px';
+            observer = new IntersectionObserver(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBe(1);
 
-                    setTimeout(() => {
-                        const entries = getEntries(spy.calls.mostRecent());
+                done();
+            });
 
-                        expect(spy).toHaveBeenCalledTimes(3);
-                        expect(entries.length).toBe(1);
+            window.scrollTo(0, 0);
 
-                        expect(entries[0].intersectionRatio).toBe(0);
-                        expect(entries[0].target).toBe(elements.target2);
+            // Move container out of the viewport so that
+            // it would hide the target if it were clipping it.
+            elements.root.style.top = '-1000px';
 
-                        done();
-                    }, timeout);
-                }
-            ], done);
+            observer.observe(elements.target1);
         });
 
-        it('handles zero-size targets within the root coordinate space', done => {
-            const style = elements.target1.style;
+        it('doesn\'t clip absolutely positioned targets by non-positioned ancestors', done => {
+            elements.container1.style.position = 'static';
+            elements.container1.style.overflow = 'hidden';
 
             observer = new IntersectionObserver(entries => {
                 expect(entries.length).toBe(1);
-                expect(entries[0].intersectionRatio).toBe(0);
+                expect(entries[0].intersectionRatio).toBe(1);
 
                 done();
             }, {
                 root: elements.root
             });
 
-            style.top = style.left = style.width = style.height = '0px';
-
             observer.observe(elements.target1);
         });
 
-        it('handles sub-root element scrolling', done => {
-            elements.container2.style.overflow = 'auto';
-            elements.target1.style.margin = '201px 0px';
+        it('doesn\'t intersect with root that is not a containing block of target', done => {
+            elements.container1.style.position = 'static';
 
             observer = new IntersectionObserver(entries => {
                 expect(entries.length).toBe(1);
-                expect(entries[0].intersectionRatio).toBe(1);
+                expect(entries[0].isIntersecting).toBe(false);
 
                 done();
             }, {
-                root: elements.root
+                root: elements.container1
             });
 
             observer.observe(elements.target1);
-
-            setTimeout(() => {
-                elements.container2.scrollTop = 200;
-            }, timeout);
         });
 
-        if (typeof document.body.style.transform !== 'undefined') {
-            it('supports CSS transitions and transforms', done => {
-                elements.target1.style.top = '220px';
-                elements.target1.style.left = '220px';
+        if (typeof document.createElement('dialog').showModal === 'function') {
+            it('doesn\'t clip modal dialogs by theirs\' ancestors', done => {
+                const dialog = document.createElement('dialog');
+
+                elements.container2.appendChild(dialog);
+                dialog.showModal();
 
                 observer = new IntersectionObserver(entries => {
                     expect(entries.length).toBe(1);
                     expect(entries[0].intersectionRatio).toBe(1);
 
+                    dialog.close();
                     done();
-                }, {
-                    root: elements.root,
-                    threshold: [1]
                 });
 
-                observer.observe(elements.target1);
-
-                setTimeout(() => {
-                    elements.target1.style.transform = 'translateX(-40px) translateY(-40px)';
-                }, 0);
+                observer.observe(dialog);
             });
         }
 
-        it('uses viewport when no root is specified', done => {
-            observer = new IntersectionObserver(entries => {
-                const viewport = document.documentElement;
-                const viewportRect = {
-                    top: 0,
-                    left: 0,
-                    right: viewport.clientWidth,
-                    bottom: viewport.clientHeight,
-                    width: viewport.clientWidth,
-                    height: viewport.clientHeight
-                };
+        it('observes one target at a single threshold correctly', done => {
+            const spy = jasmine.createSpy();
 
-                const rootBounds = entries[0].rootBounds;
+            observer = new IntersectionObserver(spy, {
+                root: elements.root,
+                threshold: 0.5
+            });
 
-                expect(entries.length).toBe(1);
+            observer.observe(elements.target1);
 
-                for (const key of Object.keys(viewportRect)) {
-                    expect(rootBounds[key]).toEqual(viewportRect[key]);
-                }
+            runSequence([done => {
+                elements.target1.style.left = '-5px';
 
-                done();
-            });
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
 
-            window.scrollTo(0, 0);
+                    expect(spy).toHaveBeenCalledTimes(1);
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].intersectionRatio).toBeGreaterThan(0.5);
 
-            elements.root.style.position = 'absolute';
-            elements.root.style.top = '0px';
-            elements.root.style.left = '0px';
+                    done();
+                }, timeout);
+            }, done => {
+                elements.target1.style.left = '-15px';
 
-            observer.observe(elements.target1);
-        });
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
 
-        it('handles root/target elements not yet in the DOM', done => {
-            const spy = jasmine.createSpy();
+                    expect(spy).toHaveBeenCalledTimes(2);
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].intersectionRatio).toBeLessThan(0.5);
 
-            document.body.removeChild(elements.root);
-            elements.container2.removeChild(elements.target1);
+                    done();
+                }, timeout);
+            }, done => {
+                elements.target1.style.left = '-25px';
+
+                setTimeout(() => {
+                    expect(spy).toHaveBeenCalledTimes(2);
+                    done();
+                }, timeout);
+            }, done => {
+                elements.target1.style.left = '-10px';
+
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
+
+                    expect(spy).toHaveBeenCalledTimes(3);
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].intersectionRatio).toBe(0.5);
+
+                    done();
+                }, timeout);
+            }], done);
+        });
+
+        it('observes multiple targets at multiple thresholds correctly', done => {
+            const spy = jasmine.createSpy();
+
+            observer = new IntersectionObserver(spy, {
+                root: elements.root,
+                threshold: [1, 0.5, 0]
+            });
+
+            runSequence([done => {
+                elements.target1.style.top = '0px';
+                elements.target1.style.left = '-15px';
+
+                elements.target2.style.top = '-5px';
+                elements.target2.style.left = '0px';
+
+                elements.target3.style.top = '0px';
+                elements.target3.style.left = '205px';
+
+                observer.observe(elements.target1);
+                observer.observe(elements.target2);
+                observer.observe(elements.target3);
+
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
+
+                    expect(spy).toHaveBeenCalledTimes(1);
+                    expect(entries.length).toBe(3);
+
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].intersectionRatio).toBe(0.25);
+
+                    expect(entries[1].target).toBe(elements.target2);
+                    expect(entries[1].intersectionRatio).toBe(0.75);
+
+                    expect(entries[2].target).toBe(elements.target3);
+                    expect(entries[2].intersectionRatio).toBe(0);
+
+                    done();
+                }, timeout);
+            }, done => {
+                elements.target1.style.top = '0px';
+                elements.target1.style.left = '-5px';
+
+                elements.target2.style.top = '-15px';
+                elements.target2.style.left = '0px';
+
+                elements.target3.style.top = '0px';
+                elements.target3.style.left = '195px';
+
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
+
+                    expect(spy).toHaveBeenCalledTimes(2);
+                    expect(entries.length).toBe(3);
+
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].intersectionRatio).toBe(0.75);
+
+                    expect(entries[1].target).toBe(elements.target2);
+                    expect(entries[1].intersectionRatio).toBe(0.25);
+
+                    expect(entries[2].target).toBe(elements.target3);
+                    expect(entries[2].intersectionRatio).toBe(0.25);
+                    done();
+                }, timeout);
+            }, done => {
+                elements.target1.style.top = '0px';
+                elements.target1.style.left = '5px';
+
+                elements.target2.style.top = '-25px';
+                elements.target2.style.left = '0px';
+
+                elements.target3.style.top = '0px';
+                elements.target3.style.left = '185px';
+
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
+
+                    expect(spy).toHaveBeenCalledTimes(3);
+                    expect(entries.length).toBe(3);
+
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].intersectionRatio).toBe(1);
+
+                    expect(entries[1].target).toBe(elements.target2);
+                    expect(entries[1].intersectionRatio).toBe(0);
+
+                    expect(entries[2].target).toBe(elements.target3);
+                    expect(entries[2].intersectionRatio).toBe(0.75);
+
+                    done();
+                }, timeout);
+            }, done => {
+                elements.target1.style.top = '0px';
+                elements.target1.style.left = '15px';
+
+                elements.target2.style.top = '-35px';
+                elements.target2.style.left = '0px';
+
+                elements.target3.style.top = '0px';
+                elements.target3.style.left = '175px';
+
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
+
+                    expect(spy).toHaveBeenCalledTimes(4);
+                    expect(entries.length).toBe(1);
+
+                    expect(entries[0].target).toBe(elements.target3);
+                    expect(entries[0].intersectionRatio).toBe(1);
+
+                    done();
+                }, timeout);
+            }], done);
+        });
+
+        it('handles rootMargin properly', done => {
+            elements.container2.style.overflow = 'visible';
+
+            elements.target1.style.top = '0px';
+            elements.target1.style.left = '-20px';
+
+            elements.target2.style.top = '-20px';
+            elements.target2.style.left = '0px';
+
+            elements.target3.style.top = '0px';
+            elements.target3.style.left = '200px';
+
+            elements.target4.style.top = '180px';
+            elements.target4.style.left = '180px';
+
+            runSequence([done => {
+                observer = new IntersectionObserver(entries => {
+                    expect(entries.length).toBe(4);
+
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].intersectionRatio).toBe(1);
+
+                    expect(entries[1].target).toBe(elements.target2);
+                    expect(entries[1].intersectionRatio).toBeCloseTo(0.5, 6);
+
+                    expect(entries[2].target).toBe(elements.target3);
+                    expect(entries[2].intersectionRatio).toBeCloseTo(0.5, 6);
+
+                    expect(entries[3].target).toBe(elements.target4);
+                    expect(entries[3].intersectionRatio).toBe(1);
+
+                    observer.disconnect();
+
+                    done();
+                }, {
+                    root: elements.root,
+                    rootMargin: '10px'
+                });
+
+                observer.observe(elements.target1);
+                observer.observe(elements.target2);
+                observer.observe(elements.target3);
+                observer.observe(elements.target4);
+            }, done => {
+                observer = new IntersectionObserver(entries => {
+                    expect(entries.length).toBe(4);
+
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].intersectionRatio).toBe(0.5);
+
+                    expect(entries[1].target).toBe(elements.target2);
+                    expect(entries[1].isIntersecting).toBe(false);
+
+                    expect(entries[2].target).toBe(elements.target3);
+                    expect(entries[2].intersectionRatio).toBe(0.5);
+
+                    expect(entries[3].target).toBe(elements.target4);
+                    expect(entries[3].intersectionRatio).toBe(0.5);
+
+                    observer.disconnect();
+
+                    done();
+                }, {
+                    root: elements.root,
+                    rootMargin: '-10px 10%'
+                });
+
+                observer.observe(elements.target1);
+                observer.observe(elements.target2);
+                observer.observe(elements.target3);
+                observer.observe(elements.target4);
+            }, done => {
+                observer = new IntersectionObserver(entries => {
+                    expect(entries.length).toBe(4);
+
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].intersectionRatio).toBe(0.5);
+
+                    expect(entries[1].target).toBe(elements.target2);
+                    expect(entries[1].isIntersecting).toBe(false);
+
+                    expect(entries[2].target).toBe(elements.target3);
+                    expect(entries[2].isIntersecting).toBe(false);
+
+                    expect(entries[3].target).toBe(elements.target4);
+                    expect(entries[3].intersectionRatio).toBe(0.5);
+
+                    observer.disconnect();
+
+                    done();
+                }, {
+                    root: elements.root,
+                    rootMargin: '-5% -2.5% 0px'
+                });
+
+                observer.observe(elements.target1);
+                observer.observe(elements.target2);
+                observer.observe(elements.target3);
+                observer.observe(elements.target4);
+            }, done => {
+                observer = new IntersectionObserver(entries => {
+                    expect(entries.length).toBe(4);
+
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].intersectionRatio).toBe(0.5);
+
+                    expect(entries[1].target).toBe(elements.target2);
+                    expect(entries[1].intersectionRatio).toBeCloseTo(0.5, 6);
+
+                    expect(entries[2].target).toBe(elements.target3);
+                    expect(entries[2].isIntersecting).toBe(false);
+
+                    expect(entries[3].target).toBe(elements.target4);
+                    expect(entries[3].intersectionRatio).toBe(0.25);
+
+                    observer.disconnect();
+
+                    done();
+                }, {
+                    root: elements.root,
+                    rootMargin: '5% -2.5% -10px -190px'
+                });
+
+                observer.observe(elements.target1);
+                observer.observe(elements.target2);
+                observer.observe(elements.target3);
+                observer.observe(elements.target4);
+            }], done);
+        });
+
+        it('handles targets on the boundary of root', done => {
+            const spy = jasmine.createSpy();
+
+            observer = new IntersectionObserver(spy, {
+                root: elements.root
+            });
+
+            runSequence([done => {
+                    elements.target1.style.top = '0px';
+                    elements.target1.style.left = '-21px';
+
+                    elements.target2.style.top = '-20px';
+                    elements.target2.style.left = '0px';
+
+                    observer.observe(elements.target1);
+                    observer.observe(elements.target2);
+
+                    setTimeout(() => {
+                        const entries = getEntries(spy.calls.mostRecent());
+
+                        expect(spy).toHaveBeenCalledTimes(1);
+                        expect(entries.length).toBe(2);
+
+                        expect(entries[0].intersectionRatio).toBe(0);
+                        expect(entries[0].isIntersecting).toBe(false);
+                        expect(entries[0].target).toBe(elements.target1);
+
+                        expect(entries[1].intersectionRatio).toBe(0);
+                        expect(entries[1].isIntersecting).toBe(true);
+                        expect(entries[1].target).toBe(elements.target2);
+
+                        done();
+                    }, timeout);
+                }, done => {
+                    elements.target1.style.top = '0px';
+                    elements.target1.style.left = '-20px';
+                    elements.target2.style.top = '-21px';
+                    elements.target2.style.left = '0px';
+
+                    setTimeout(() => {
+                        const entries = getEntries(spy.calls.mostRecent());
+
+                        expect(spy).toHaveBeenCalledTimes(2);
+                        expect(entries.length).toBe(2);
+
+                        expect(entries[0].intersectionRatio).toBe(0);
+                        expect(entries[0].isIntersecting).toBe(true);
+                        expect(entries[0].target).toBe(elements.target1);
+
+                        expect(entries[1].intersectionRatio).toBe(0);
+                        expect(entries[1].isIntersecting).toBe(false);
+                        expect(entries[1].target).toBe(elements.target2);
+
+                        done();
+                    }, timeout);
+                }, done => {
+                    elements.target1.style.top = '-20px';
+                    elements.target1.style.left = '200px';
+
+                    elements.target2.style.top = '200px';
+                    elements.target2.style.left = '200px';
+
+                    setTimeout(() => {
+                        const entries = getEntries(spy.calls.mostRecent());
+
+                        expect(spy).toHaveBeenCalledTimes(3);
+                        expect(entries.length).toBe(1);
+
+                        expect(entries[0].intersectionRatio).toBe(0);
+                        expect(entries[0].isIntersecting).toBe(true);
+                        expect(entries[0].target).toBe(elements.target2);
+
+                        done();
+                    }, timeout);
+                }
+            ], done);
+        });
+
+        it('handles zero-size targets within the root coordinate space', done => {
+            const style = elements.target1.style;
+
+            observer = new IntersectionObserver(entries => {
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBe(1);
+                expect(entries[0].isIntersecting).toBe(true);
+
+                done();
+            }, {
+                root: elements.root
+            });
+
+            style.top = style.left = style.width = style.height = '0px';
+
+            observer.observe(elements.target1);
+        });
+
+        it('handles sub-root element scrolling', done => {
+            const spy = jasmine.createSpy();
+
+            elements.container2.style.overflow = 'auto';
+            elements.target1.style.margin = '201px 0px';
+
+            observer = new IntersectionObserver(spy, {
+                root: elements.root
+            });
+
+            observer.observe(elements.target1);
+
+            runSequence([done => {
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
+
+                    expect(spy).toHaveBeenCalledTimes(1);
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].isIntersecting).toBe(false);
+
+                    done();
+                }, timeout);
+            }, done => {
+                elements.container2.scrollTop = 200;
+
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
+
+                    expect(spy).toHaveBeenCalledTimes(2);
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].intersectionRatio).toBe(1);
+
+                    done();
+                }, timeout);
+            }], done);
+        });
+
+        if (typeof document.body.style.transform !== 'undefined') {
+            it('supports CSS transitions and transforms', done => {
+                elements.target1.style.top = '220px';
+                elements.target1.style.left = '220px';
+
+                observer = new IntersectionObserver(entries => {
+                    // Skip the initial notification and the ones
+                    // that might be queued while transition is running.
+                    if (entries[0].intersectionRatio < 1) {
+                        return;
+                    }
+
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].intersectionRatio).toBe(1);
+
+                    done();
+                }, {
+                    root: elements.root,
+                    threshold: [1]
+                });
+
+                observer.observe(elements.target1);
+
+                setTimeout(() => {
+                    elements.target1.style.transform = 'translateX(-40px) translateY(-40px)';
+                }, 0);
+            });
+        }
+
+        it('tracks visibility of targets', done => {
+            const spy = jasmine.createSpy();
+
+            observer = new IntersectionObserver(spy, {
+                root: elements.root,
+                trackVisibility: true,
+                delay: 100
+            });
+
+            // All of the targets share the same position,
+            // so the first one is covered by the rest of them.
+            observer.observe(elements.target1);
+            observer.observe(elements.target4);
+
+            runSequence([done => {
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
+
+                    expect(spy).toHaveBeenCalledTimes(1);
+                    expect(entries.length).toBe(2);
+
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].isIntersecting).toBe(true);
+                    expect(entries[0].isVisible).toBe(false);
+
+                    expect(entries[1].target).toBe(elements.target4);
+                    expect(entries[1].isIntersecting).toBe(true);
+                    expect(entries[1].isVisible).toBe(true);
+
+                    done();
+                }, timeout);
+            }, done => {
+                elements.target4.style.opacity = '0.5';
+
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
+
+                    expect(spy).toHaveBeenCalledTimes(2);
+                    expect(entries.length).toBe(1);
+
+                    expect(entries[0].target).toBe(elements.target4);
+                    expect(entries[0].isVisible).toBe(false);
+
+                    done();
+                }, timeout);
+            }], done);
+        });
+
+        if (typeof document.body.attachShadow === 'function') {
+            it('observes targets inside of shadow trees', done => {
+                const host = document.createElement('div');
+                const target = document.createElement('div');
+
+                host.attachShadow({mode: 'open'}).appendChild(target);
+
+                host.style.position = 'absolute';
+                host.style.left = '-10px';
+
+                target.style.width = target.style.height = '20px';
+
+                elements.container2.appendChild(host);
+
+                observer = new IntersectionObserver(entries => {
+                    expect(entries.length).toBe(1);
+
+                    expect(entries[0].target).toBe(target);
+                    expect(entries[0].isIntersecting).toBe(true);
+                    expect(entries[0].intersectionRatio).toBe(0.5);
+
+                    done();
+                }, {
+                    root: elements.root
+                });
+
+                observer.observe(target);
+            });
+
+            it('clips slotted targets by ancestors of theirs\' slots', done => {
+                const host = document.createElement('div');
+                const target = document.createElement('div');
+
+                host.attachShadow({mode: 'open'}).innerHTML =
+                    '<div style="overflow: hidden; width: 10px; height: 20px;"><slot></slot></div>';
+
+                target.style.width = target.style.height = '20px';
+
+                host.appendChild(target);
+                elements.container2.appendChild(host);
+
+                observer = new IntersectionObserver(entries => {
+                    expect(entries.length).toBe(1);
+
+                    expect(entries[0].target).toBe(target);
+                    expect(entries[0].intersectionRatio).toBe(0.5);
+
+                    done();
+                }, {
+                    root: elements.root
+                });
+
+                observer.observe(target);
+            });
+        }
+
+        it('uses viewport when no root is specified', done => {
+            observer = new IntersectionObserver(entries => {
+                const viewport = getTopDocument().documentElement;
+                const viewportRect = {
+                    top: 0,
+                    left: 0,
+                    right: viewport.clientWidth,
+                    bottom: viewport.clientHeight,
+                    width: viewport.clientWidth,
+                    height: viewport.clientHeight
+                };
+
+                const rootBounds = entries[0].rootBounds;
+
+                expect(entries.length).toBe(1);
+
+                for (const key of Object.keys(viewportRect)) {
+                    expect(rootBounds[key]).toEqual(viewportRect[key]);
+                }
+
+                done();
+            });
+
+            window.scrollTo(0, 0);
+
+            elements.root.style.position = 'absolute';
+            elements.root.style.top = '0px';
+            elements.root.style.left = '0px';
+
+            observer.observe(elements.target1);
+        });
+
+        if (getTopDocument().defaultView.visualViewport) {
+            it('uses visual viewport as the implicit root if it\'s enabled', done => {
+                IntersectionObserver.visualViewport = true;
+
+                observer = new IntersectionObserver(entries => {
+                    const viewport = getTopDocument().defaultView.visualViewport;
+                    const rootBounds = entries[0].rootBounds;
+
+                    IntersectionObserver.visualViewport = false;
+
+                    expect(entries.length).toBe(1);
+
+                    expect(rootBounds.top).toEqual(viewport.offsetTop);
+                    expect(rootBounds.left).toEqual(viewport.offsetLeft);
+                    expect(rootBounds.width).toEqual(viewport.width);
+                    expect(rootBounds.height).toEqual(viewport.height);
+
+                    done();
+                });
+
+                observer.observe(elements.target1);
+            });
+        }
+
+        it('uses viewport of the document that is specified as root', done => {
+            observer = new IntersectionObserver(entries => {
+                const viewport = document.documentElement;
+                const rootBounds = entries[0].rootBounds;
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].isIntersecting).toBe(true);
+
+                expect(rootBounds.top).toEqual(0);
+                expect(rootBounds.left).toEqual(0);
+                expect(rootBounds.width).toEqual(viewport.clientWidth);
+                expect(rootBounds.height).toEqual(viewport.clientHeight);
+
+                done();
+            }, {root: document});
+
+            window.scrollTo(0, 0);
+
+            elements.root.style.position = 'absolute';
+            elements.root.style.top = '0px';
+            elements.root.style.left = '0px';
+
+            observer.observe(elements.target1);
+        });
+
+        it('reports intersection in the coordinate space of targets\' document', done => {
+            observer = new IntersectionObserver(entries => {
+                const targetRect = elements.target1.getBoundingClientRect();
+                const intersecRect = entries[0].intersectionRect;
+
+                expect(entries.length).toBe(1);
+                expect(entries[0].intersectionRatio).toBe(1);
+
+                for (const key of ['top', 'right', 'bottom', 'left']) {
+                    expect(intersecRect[key]).toEqual(targetRect[key]);
+                }
+
+                done();
+            });
+
+            window.scrollTo(0, 0);
+
+            elements.root.style.position = 'absolute';
+            elements.root.style.top = '0px';
+            elements.root.style.left = '0px';
+
+            observer.observe(elements.target1);
+        });
+
+        it('clips targets of same-origin frames by parent documents', done => {
+            const container = document.createElement('div');
+            const frame = document.createElement('iframe');
+            const spy = jasmine.createSpy();
+
+            container.style.cssText =
+                'position: absolute; top: 0px; left: 0px; ' +
+                'overflow: hidden; width: 100px; height: 100px;';
+            frame.style.cssText = 'display: block; border: 0px; width: 100px; height: 100px; margin-bottom: 100px;';
+
+            container.appendChild(frame);
+            elements.root.appendChild(container);
+
+            window.scrollTo(0, 0);
+
+            elements.root.style.position = 'absolute';
+            elements.root.style.top = '0px';
+            elements.root.style.left = '0px';
+
+            // Frame is populated with a copy of the polyfill
+            // that observes the target from the inside.
+            frame.addEventListener('load', () => {
+                const frameWindow = frame.contentWindow;
+                const target = frameWindow.document.getElementById('target');
+
+                observer = new frameWindow.IntersectionObserver(spy, {
+                    threshold: [0, 0.5, 1]
+                });
+
+                runSequence([done => {
+                        observer.observe(target);
+
+                        setTimeout(() => {
+                            const entries = getEntries(spy.calls.mostRecent());
+
+                            expect(spy).toHaveBeenCalledTimes(1);
+                            expect(entries[0].isIntersecting).toBe(true);
+                            expect(entries[0].intersectionRatio).toBe(1);
+
+                            done();
+                        }, timeout);
+                    }, done => {
+                        container.scrollTop = 10;
+
+                        setTimeout(() => {
+                            const entries = getEntries(spy.calls.mostRecent());
+
+                            expect(spy).toHaveBeenCalledTimes(2);
+                            expect(entries[0].isIntersecting).toBe(true);
+                            expect(entries[0].intersectionRatio).toBe(0.5);
+                            expect(entries[0].intersectionRect.top).toBe(10);
+
+                            done();
+                        }, timeout);
+                    }, done => {
+                        container.scrollTop = 50;
+
+                        setTimeout(() => {
+                            const entries = getEntries(spy.calls.mostRecent());
+
+                            expect(spy).toHaveBeenCalledTimes(3);
+                            expect(entries[0].isIntersecting).toBe(false);
+                            expect(entries[0].intersectionRatio).toBe(0);
+
+                            done();
+                        }, timeout);
+                    }, done => {
+                        container.scrollTop = 0;
+                        frame.style.height = '10px';
+
+                        setTimeout(() => {
+                            const entries = getEntries(spy.calls.mostRecent());
+
+                            expect(spy).toHaveBeenCalledTimes(4);
+                            expect(entries[0].isIntersecting).toBe(true);
+                            expect(entries[0].intersectionRatio).toBe(0.5);
+
+                            done();
+                        }, timeout);
+                    }
+                ], done);
+            });
+
+            frame.contentDocument.open();
+            frame.contentDocument.write(
+                '<body style="margin: 0px;">' +
+                '<div id="target" style="position: absolute; top: 0px; left: 0px; width: 20px; height: 20px;"></div>' +
+                '<script src="/base/tests/fixtures/polyfill.js"></script>' +
+                '</body>'
+            );
+            frame.contentDocument.close();
+        });
+
+        it('handles root/target elements not yet in the DOM', done => {
+            const spy = jasmine.createSpy();
+
+            document.body.removeChild(elements.root);
+            elements.container2.removeChild(elements.target1);
+
+            observer = new IntersectionObserver(spy, {
+                root: elements.root
+            });
+
+            runSequence([done => {
+                    observer.observe(elements.target1);
+                    setTimeout(done, 0);
+                }, done => {
+                    document.body.appendChild(elements.root);
+
+                    setTimeout(() => {
+                        const entries = getEntries(spy.calls.mostRecent());
+
+                        expect(spy).toHaveBeenCalledTimes(1);
+                        expect(entries.length).toBe(1);
+
+                        expect(entries[0].isIntersecting).toBe(false);
+                        expect(entries[0].target).toBe(elements.target1);
+
+                        done();
+                    }, timeout);
+                }, done => {
+                    elements.container2.insertBefore(elements.target1, elements.target2);
+
+                    setTimeout(() => {
+                        const entries = getEntries(spy.calls.mostRecent());
+
+                        expect(spy).toHaveBeenCalledTimes(2);
+                        expect(entries.length).toBe(1);
+
+                        expect(entries[0].intersectionRatio).toBe(1);
+                        expect(entries[0].target).toBe(elements.target1);
+
+                        done();
+                    }, timeout);
+                }, done => {
+                    elements.root.removeChild(elements.container1);
+
+                    setTimeout(() => {
+                        const entries = getEntries(spy.calls.mostRecent());
+
+                        expect(spy).toHaveBeenCalledTimes(3);
+                        expect(entries.length).toBe(1);
+
+                        expect(entries[0].intersectionRatio).toBe(0);
+                        expect(entries[0].target).toBe(elements.target1);
+
+                        done();
+                    }, timeout);
+                }, done => {
+                    elements.root.appendChild(elements.target1);
+
+                    setTimeout(() => {
+                        const entries = getEntries(spy.calls.mostRecent());
+
+                        expect(spy).toHaveBeenCalledTimes(4);
+                        expect(entries.length).toBe(1);
+
+                        expect(entries[0].intersectionRatio).toBe(1);
+                        expect(entries[0].target).toBe(elements.target1);
+
+                        done();
+                    }, timeout);
+                }, done => {
+                    elements.root.parentNode.removeChild(elements.root);
+
+                    setTimeout(() => {
+                        const entries = getEntries(spy.calls.mostRecent());
+
+                        expect(spy).toHaveBeenCalledTimes(5);
+                        expect(entries.length).toBe(1);
+
+                        expect(entries[0].intersectionRatio).toBe(0);
+                        expect(entries[0].target).toBe(elements.target1);
+
+                        done();
+                    }, timeout);
+                }
+            ], done);
+        });
+    });
+
+    describe('observeVirtual', () => {
+        it('throws an error if arguments are invalid', () => {
+            observer = new IntersectionObserver(emptyFn);
+
+            expect(() => {
+                observer.observeVirtual('region', elements.container2);
+            }).toThrowError(/3 arguments required/i);
+
+            expect(() => {
+                observer.observeVirtual('region', {}, emptyFn);
+            }).toThrowError(/Element/i);
+
+            expect(() => {
+                observer.observeVirtual('region', elements.container2, {});
+            }).toThrowError(/not a function/i);
+        });
+    });
+
+    describe('takeRecords', () => {
+        it('supports getting entries before the callback is invoked', done => {
+            const spy = jasmine.createSpy();
+            let entries = [];
+
+            observer = new IntersectionObserver(spy, {root: elements.root});
+
+            const intervalID = window.setInterval(() => {
+                entries.push(...observer.takeRecords());
+            }, 0);
+
+            observer.observe(elements.target3);
+
+            setTimeout(() => {
+                window.clearInterval(intervalID);
+
+                expect(spy).not.toHaveBeenCalled();
+                expect(entries.length).toBe(1);
+
+                done();
+            }, timeout);
+        });
+
+        it('computes intersections synchronously', () => {
+            const spy = jasmine.createSpy();
+
+            observer = new IntersectionObserver(spy, {root: elements.root});
+
+            observer.observe(elements.target1);
+
+            let [entry] = observer.takeRecords();
+
+            expect(entry.target).toBe(elements.target1);
+            expect(entry.isIntersecting).toBe(true);
+
+            elements.target1.style.left = '-40px';
+
+            [entry] = observer.takeRecords();
+
+            expect(entry.isIntersecting).toBe(false);
+            expect(observer.takeRecords().length).toBe(0);
+            expect(spy).not.toHaveBeenCalled();
+        });
+
+        it('returns only queued entries if update is not requested', () => {
+            observer = new IntersectionObserver(emptyFn, {root: elements.root});
+
+            observer.observe(elements.target1);
+
+            expect(observer.takeRecords(false).length).toBe(0);
+        });
+    });
+
+    describe('unobserve', () => {
+        it('throws an error if no arguments were provided', () => {
+            observer = new IntersectionObserver(emptyFn);
+
+            expect(() => {
+                observer.unobserve();
+            }).toThrowError(/1 argument required/i);
+        });
+
+        it('throws an error if target is not Element', () => {
+            observer = new IntersectionObserver(emptyFn);
+
+            expect(() => {
+                observer.unobserve(false);
+            }).toThrowError(/Element/i);
+
+            expect(() => {
+                observer.unobserve(null);
+            }).toThrowError(/Element/i);
+
+            expect(() => {
+                observer.unobserve({});
+            }).toThrowError(/Element/i);
+
+            expect(() => {
+                observer.unobserve(document.createTextNode(''));
+            }).toThrowError(/Element/i);
+        });
+
+        it('removes targets from the internal store', done => {
+            const spy = jasmine.createSpy();
+
+            observer = new IntersectionObserver(spy, {
+                root: elements.root
+            });
+
+            runSequence([done => {
+                    elements.target1.style.top = elements.target2.style.top = '0px';
+                    elements.target1.style.left = elements.target2.style.left = '0px';
+
+                    observer.observe(elements.target1);
+                    observer.observe(elements.target2);
+
+                    setTimeout(() => {
+                        const entries = getEntries(spy.calls.mostRecent());
+
+                        expect(spy).toHaveBeenCalledTimes(1);
+                        expect(entries.length).toBe(2);
+
+                        expect(entries[0].target).toBe(elements.target1);
+                        expect(entries[0].intersectionRatio).toBe(1);
+
+                        expect(entries[1].target).toBe(elements.target2);
+                        expect(entries[1].intersectionRatio).toBe(1);
+
+                        done();
+                    }, timeout);
+                }, done => {
+                    observer.unobserve(elements.target1);
+
+                    elements.target1.style.top = elements.target2.style.top = '0px';
+                    elements.target1.style.left = elements.target2.style.left = '-40px';
+
+                    setTimeout(() => {
+                        const entries = getEntries(spy.calls.mostRecent());
+
+                        expect(spy).toHaveBeenCalledTimes(2);
+                        expect(entries.length).toBe(1);
+
+                        expect(entries[0].target).toBe(elements.target2);
+                        expect(entries[0].intersectionRatio).toBe(0);
+                        done();
+                    }, timeout);
+                }, done => {
+                    observer.unobserve(elements.target2);
+
+                    elements.target1.style.top = elements.target2.style.top = '0px';
+                    elements.target1.style.left = elements.target2.style.left = '0px';
+
+                    setTimeout(() => {
+                        expect(spy).toHaveBeenCalledTimes(2);
+                        done();
+                    }, timeout);
+                }
+            ], done);
+        });
+    });
+
+    describe('disconnect', () => {
+        it('removes all targets and stops listening for changes', done => {
+            const spy = jasmine.createSpy();
+
+            observer = new IntersectionObserver(spy, {root: elements.root});
+
+            runSequence([done => {
+                elements.target1.style.top = elements.target2.style.top = '0px';
+                elements.target1.style.left = elements.target2.style.left = '0px';
+
+                observer.observe(elements.target1);
+                observer.observe(elements.target2);
+
+                setTimeout(() => {
+                    const entries = getEntries(spy.calls.mostRecent());
+
+                    expect(spy).toHaveBeenCalledTimes(1);
+                    expect(entries.length).toBe(2);
+
+                    expect(entries[0].target).toBe(elements.target1);
+                    expect(entries[0].intersectionRatio).toBe(1);
+
+                    expect(entries[1].target).toBe(elements.target2);
+                    expect(entries[1].intersectionRatio).toBe(1);
+
+                    done();
+                }, timeout);
+            }, done => {
+                observer.disconnect();
+
+                elements.target1.style.top = elements.target2.style.top = '0px';
+                elements.target1.style.left = elements.target2.style.left = '-40px';
+
+                setTimeout(() => {
+                    expect(spy).toHaveBeenCalledTimes(1);
+                    done();
+                }, timeout);
+            }], done);
+        });
+    });
+
+    describe('checkNow', () => {
+        it('throws an error if idle timeout is not a number', () => {
+            expect(() => {
+                IntersectionObserver.checkNow('100');
+            }).toThrowError(/number/i);
+        });
+
+        it('starts update cycle', done => {
+            const spy = jasmine.createSpy();
+            const region = {left: 0, top: 0, width: 20, height: 20};
+
+            observer = new IntersectionObserver(spy, {
+                root: elements.root
+            });
+
+            observer.observeVirtual('region', elements.container2, () => region);
+
+            runSequence([done => {
+                setTimeout(() => {
+                    expect(spy).toHaveBeenCalledTimes(1);
+                    expect(getEntries(spy.calls.mostRecent())[0].isIntersecting).toBe(true);
+
+                    // Changes of virtual regions are not detected automatically.
+                    region.top = 300;
+
+                    done();
+                }, timeout);
+            }, done => {
+                setTimeout(() => {
+                    expect(spy).toHaveBeenCalledTimes(1);
+
+                    IntersectionObserver.checkNow();
+
+                    done();
+                }, timeout);
+            }, done => {
+                setTimeout(() => {
+                    expect(spy).toHaveBeenCalledTimes(2);
+                    expect(getEntries(spy.calls.mostRecent())[0].isIntersecting).toBe(false);
+
+                    region.top = 0;
+
+                    observer.checkNow(100);
+
+                    done();
+                }, timeout);
+            }, done => {
+                setTimeout(() => {
+                    expect(spy).toHaveBeenCalledTimes(3);
+                    expect(getEntries(spy.calls.mostRecent())[0].isIntersecting).toBe(true);
+
+                    done();
+                }, timeout);
+            }], done);
+        });
+    });
+
+    describe('scheduler', () => {
+        const defaultScheduler = IntersectionObserver.scheduler;
+
+        afterEach(() => {
+            IntersectionObserver.scheduler = defaultScheduler;
+        });
+
+        it('throws an error if scheduler is not a function', () => {
+            expect(() => {
+                IntersectionObserver.scheduler = {};
+            }).toThrowError(/function/i);
+        });
+
+        it('requests updates from the assigned scheduler', () => {
+            const scheduler = createManualScheduler();
+            const spy = jasmine.createSpy();
+
+            IntersectionObserver.scheduler = scheduler;
+
+            observer = new IntersectionObserver(spy);
+            observer.observe(elements.target1);
+
+            expect(spy).not.toHaveBeenCalled();
+
+            expect(scheduler.flush()).toBe(true);
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(getEntries(spy.calls.mostRecent())[0].target).toBe(elements.target1);
+        });
+
+        it('supports schedulers that invoke callbacks synchronously', () => {
+            const defaultIdleTimeout = IntersectionObserver.idleTimeout;
+            const scheduler = jasmine.createSpy().and.callFake(callback => callback(window.performance.now()));
+            const spy = jasmine.createSpy();
+
+            IntersectionObserver.idleTimeout = 0;
+            IntersectionObserver.scheduler = scheduler;
+
+            observer = new IntersectionObserver(spy);
+            observer.observe(elements.target1);
+
+            expect(spy).toHaveBeenCalledTimes(1);
+
+            scheduler.calls.reset();
+
+            IntersectionObserver.checkNow();
+
+            IntersectionObserver.idleTimeout = defaultIdleTimeout;
+
+            expect(scheduler).toHaveBeenCalled();
+        });
+    });
+
+    describe('frameBridge', () => {
+        // Document of a frame that reports the last entry of
+        // its' observer to the parent window.
+        const bridgeFrameSource = [
+            '<body style="margin: 0px;">',
+            '<div id="target" style="position: absolute; width: 20px; height: 20px;"></div>',
+            '<script src="/base/tests/fixtures/polyfill.js"></script>',
+            '<script>',
+            'IntersectionObserver.frameBridge = true;',
+            'new IntersectionObserver(function (entries) {',
+            '    var entry = entries[entries.length - 1];',
+            '    parent.postMessage(JSON.stringify({',
+            '        isIntersecting: entry.isIntersecting,',
+            '        intersectionRatio: entry.intersectionRatio,',
+            '        intersectionWidth: entry.intersectionRect.width,',
+            '        rootBounds: entry.rootBounds',
+            '    }), "*");',
+            '}, {threshold: [0, 0.5, 1], rootMargin: "100px"}).observe(document.getElementById("target"));',
+            '</script>',
+            '</body>'
+        ].join('\n');
+
+        let frame = null,
+            onMessage = null;
+
+        afterEach(() => {
+            IntersectionObserver.frameBridge = false;
+
+            if (onMessage) {
+                window.removeEventListener('message', onMessage);
+            }
+
+            if (frame) {
+                document.body.removeChild(frame);
+            }
+
+            frame = onMessage = null;
+        });
+
+        it('throws an error if value is not a boolean', () => {
+            expect(() => {
+                IntersectionObserver.frameBridge = 1;
+            }).toThrowError(/boolean/i);
+        });
+
+        it('doesn\'t subscribe to parent windows of the same origin', () => {
+            spyOn(window.parent, 'postMessage');
+
+            IntersectionObserver.frameBridge = true;
+
+            observer = new IntersectionObserver(emptyFn);
+            observer.observe(elements.target1);
+
+            expect(window.parent.postMessage).not.toHaveBeenCalled();
+        });
+
+        // Sandboxed frame is of a unique origin, so the polyfill
+        // inside of it can't access the viewport of this document.
+        if ('srcdoc' in document.createElement('iframe')) {
+            it('clips targets of cross-origin frames by viewport reported by the host side', done => {
+                const reports = [];
+
+                onMessage = event => {
+                    if (frame && event.source === frame.contentWindow && !parseMessage(event.data)) {
+                        reports.push(JSON.parse(event.data));
+                    }
+                };
+
+                window.addEventListener('message', onMessage);
+
+                frame = document.createElement('iframe');
+
+                frame.setAttribute('sandbox', 'allow-scripts');
+                frame.style.cssText =
+                    'position: absolute; top: 0px; left: 0px; width: 100px; height: 100px; border: 0px;';
+
+                frame.srcdoc = bridgeFrameSource;
+
+                // Host side doesn't reply to the subscription
+                // until the first entry is delivered.
+                runSequence([done => {
+                    document.body.appendChild(frame);
+
+                    setTimeout(() => {
+                        expect(reports.length).toBe(1);
+
+                        expect(reports[0].isIntersecting).toBe(false);
+                        expect(reports[0].rootBounds).toBe(null);
+
+                        done();
+                    }, timeout);
+                }, done => {
+                    const rect = {left: 0, top: 0, width: 10, height: 20};
+
+                    frame.contentWindow.postMessage(createMessage(VIEWPORT, {rect}), '*');
+
+                    setTimeout(() => {
+                        const report = reports[reports.length - 1];
+
+                        expect(reports.length).toBe(2);
+
+                        expect(report.isIntersecting).toBe(true);
+                        expect(report.intersectionRatio).toBe(0.5);
+                        expect(report.intersectionWidth).toBe(10);
+
+                        // Margins are not applied to the
+                        // viewport of the parent document.
+                        expect(report.rootBounds).toBe(null);
+
+                        done();
+                    }, timeout);
+                }, done => {
+                    frame.contentWindow.postMessage(createMessage(VIEWPORT, {rect: null}), '*');
+
+                    setTimeout(() => {
+                        const report = reports[reports.length - 1];
+
+                        expect(reports.length).toBe(3);
+
+                        expect(report.isIntersecting).toBe(false);
+                        expect(report.intersectionRatio).toBe(0);
+                        expect(report.rootBounds).toBe(null);
+
+                        done();
+                    }, timeout);
+                }], done);
+            });
+        }
+    });
+
+    describe('shared geometry', () => {
+        const defaultScheduler = IntersectionObserver.scheduler;
+
+        let scheduler,
+            observer2;
+
+        beforeEach(() => {
+            scheduler = createManualScheduler();
+            IntersectionObserver.scheduler = scheduler;
+
+            spyOn(elements.target1, 'getBoundingClientRect').and.callThrough();
+        });
+
+        afterEach(() => {
+            IntersectionObserver.scheduler = defaultScheduler;
+
+            observer2.disconnect();
+        });
+
+        it('measures targets once for observers with the same root', () => {
+            const spy1 = jasmine.createSpy();
+            const spy2 = jasmine.createSpy();
+
+            elements.target1.style.top = '190px';
+
+            observer = new IntersectionObserver(spy1, {root: elements.root});
+            observer2 = new IntersectionObserver(spy2, {
+                root: elements.root,
+                rootMargin: '10px'
+            });
+
+            observer.observe(elements.target1);
+            observer2.observe(elements.target1);
+
+            scheduler.flush();
+
+            expect(elements.target1.getBoundingClientRect).toHaveBeenCalledTimes(1);
+
+            const [entry1] = getEntries(spy1.calls.mostRecent());
+            const [entry2] = getEntries(spy2.calls.mostRecent());
+
+            // Margins are applied by each of observers.
+            expect(entry1.rootBounds.height).toBe(200);
+            expect(entry2.rootBounds.height).toBe(220);
+
+            expect(entry1.intersectionRatio).toBe(0.5);
+            expect(entry2.intersectionRatio).toBe(0.5);
+        });
+
+        it('invokes callbacks once all observers are updated', () => {
+            const spy = jasmine.createSpy();
+
+            observer = new IntersectionObserver(() => {
+                elements.target1.style.top = '190px';
+            }, {root: elements.root});
+
+            observer2 = new IntersectionObserver(spy, {root: elements.root});
+
+            observer.observe(elements.target1);
+            observer2.observe(elements.target1);
+
+            scheduler.flush();
+
+            const [entry] = getEntries(spy.calls.mostRecent());
+            const rootTop = elements.root.getBoundingClientRect().top;
+
+            expect(elements.target1.getBoundingClientRect).toHaveBeenCalledTimes(1);
+            expect(entry.boundingClientRect.top - rootTop).toBe(0);
+        });
+
+        it('drops layout data if update fails', () => {
+            const compute = jasmine.createSpy().and.returnValue('static');
+
+            elements.target1.getBoundingClientRect.and.throwError('Layout is not available.');
+
+            observer = new IntersectionObserver(emptyFn, {root: elements.root});
+            observer2 = new IntersectionObserver(emptyFn, {root: elements.root});
+
+            observer.observe(elements.target1);
+
+            expect(() => scheduler.flush()).toThrowError(/layout/i);
+
+            getLayoutData(elements.target1, 'position', compute);
+            getLayoutData(elements.target1, 'position', compute);
+
+            expect(compute).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('delay', () => {
+        const defaultScheduler = IntersectionObserver.scheduler;
+
+        let scheduler,
+            time;
+
+        beforeEach(() => {
+            time = 0;
+
+            spyOn(window.performance, 'now').and.callFake(() => time);
+
+            jasmine.clock().install();
+
+            scheduler = createManualScheduler();
+            IntersectionObserver.scheduler = scheduler;
+        });
+
+        afterEach(() => {
+            IntersectionObserver.scheduler = defaultScheduler;
+
+            jasmine.clock().uninstall();
+        });
+
+        it('lets update cycle end while observations are delayed', () => {
+            observer = new IntersectionObserver(emptyFn, {delay: 100});
+            observer.observe(elements.target1);
+
+            scheduler.flush();
+
+            time = 16;
+            scheduler.flush();
+
+            time = 60;
+            scheduler.flush();
+
+            expect(scheduler.flush()).toBe(false);
+        });
+
+        it('updates delayed observations once the delay ends', () => {
+            const spy = jasmine.createSpy();
+
+            observer = new IntersectionObserver(spy, {delay: 100});
+            observer.observe(elements.target1);
+
+            scheduler.flush();
+
+            time = 16;
+            elements.target1.style.top = '1000px';
+            scheduler.flush();
+
+            time = 60;
+            scheduler.flush();
+
+            expect(spy).toHaveBeenCalledTimes(1);
+
+            jasmine.clock().tick(84);
+
+            time = 100;
+
+            expect(scheduler.flush()).toBe(true);
+            expect(spy).toHaveBeenCalledTimes(2);
+            expect(getEntries(spy.calls.mostRecent())[0].isIntersecting).toBe(false);
+        });
+    });
+
+    describe('frameBudget', () => {
+        const defaultScheduler = IntersectionObserver.scheduler;
+
+        let scheduler;
+
+        beforeEach(() => {
+            let time = 0;
+
+            // Each measurement of time takes a millisecond,
+            // so that every slice updates a single target.
+            spyOn(window.performance, 'now').and.callFake(() => ++time);
+
+            scheduler = createManualScheduler();
+
+            IntersectionObserver.scheduler = scheduler;
+            IntersectionObserver.frameBudget = 1;
+        });
+
+        afterEach(() => {
+            IntersectionObserver.scheduler = defaultScheduler;
+            IntersectionObserver.frameBudget = 0;
+        });
+
+        it('throws an error if budget is not a non-negative number', () => {
+            expect(() => {
+                IntersectionObserver.frameBudget = '1';
+            }).toThrowError(/number/i);
+
+            expect(() => {
+                IntersectionObserver.frameBudget = -1;
+            }).toThrowError(/negative/i);
+        });
+
+        it('delivers entries once all slices are finished', () => {
+            const spy = jasmine.createSpy();
+
+            observer = new IntersectionObserver(spy);
+
+            observer.observe(elements.target1);
+            observer.observe(elements.target2);
+            observer.observe(elements.target3);
+
+            scheduler.flush();
+            scheduler.flush();
+
+            expect(spy).not.toHaveBeenCalled();
 
-            observer = new IntersectionObserver(spy, {
-                root: elements.root
-            });
+            scheduler.flush();
 
-            runSequence([done => {
-                    observer.observe(elements.target1);
-                    setTimeout(done, 0);
-                }, done => {
-                    document.body.appendChild(elements.root);
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(getEntries(spy.calls.mostRecent()).length).toBe(3);
+        });
 
-                    setTimeout(() => {
-                        expect(spy).not.toHaveBeenCalled();
-                        done();
-                    }, timeout);
-                }, done => {
-                    elements.container2.insertBefore(elements.target1, elements.target2);
+        it('updates intersecting targets first', () => {
+            elements.target2.style.top = '1000px';
 
-                    setTimeout(() => {
-                        const entries = getEntries(spy.calls.mostRecent());
+            observer = new IntersectionObserver(emptyFn);
 
-                        expect(spy).toHaveBeenCalledTimes(1);
-                        expect(entries.length).toBe(1);
+            observer.observe(elements.target2);
+            observer.observe(elements.target1);
 
-                        expect(entries[0].intersectionRatio).toBe(1);
-                        expect(entries[0].target).toBe(elements.target1);
+            scheduler.flush();
+            scheduler.flush();
 
-                        done();
-                    }, timeout);
-                }, done => {
-                    elements.root.removeChild(elements.container1);
+            spyOn(elements.target1, 'getBoundingClientRect').and.callThrough();
+            spyOn(elements.target2, 'getBoundingClientRect').and.callThrough();
 
-                    setTimeout(() => {
-                        const entries = getEntries(spy.calls.mostRecent());
+            scheduler.flush();
 
-                        expect(spy).toHaveBeenCalledTimes(2);
-                        expect(entries.length).toBe(1);
+            expect(elements.target1.getBoundingClientRect).toHaveBeenCalled();
+            expect(elements.target2.getBoundingClientRect).not.toHaveBeenCalled();
 
-                        expect(entries[0].intersectionRatio).toBe(0);
-                        expect(entries[0].target).toBe(elements.target1);
+            scheduler.flush();
 
-                        done();
-                    }, timeout);
-                }, done => {
-                    elements.root.appendChild(elements.target1);
+            expect(elements.target2.getBoundingClientRect).toHaveBeenCalled();
+        });
 
-                    setTimeout(() => {
-                        const entries = getEntries(spy.calls.mostRecent());
+        it('doesn\'t reduce budget because of delays between slices', () => {
+            const spy = jasmine.createSpy();
+            const targets = [elements.target1, elements.target2, elements.target3, elements.target4];
 
-                        expect(spy).toHaveBeenCalledTimes(3);
-                        expect(entries.length).toBe(1);
+            let time = 0;
 
-                        expect(entries[0].intersectionRatio).toBe(1);
-                        expect(entries[0].target).toBe(elements.target1);
+            window.performance.now.and.callFake(() => time);
 
-                        done();
-                    }, timeout);
-                }, done => {
-                    elements.root.parentNode.removeChild(elements.root);
+            // Update of each target takes a millisecond, so
+            // that every slice updates two of them.
+            const measure = () => {
+                time++;
 
-                    setTimeout(() => {
-                        const entries = getEntries(spy.calls.mostRecent());
+                return {top: 0, right: 0, bottom: 0, left: 0, width: 0, height: 0};
+            };
 
-                        expect(spy).toHaveBeenCalledTimes(4);
-                        expect(entries.length).toBe(1);
+            targets.forEach(target => spyOn(target, 'getBoundingClientRect').and.callFake(measure));
 
-                        expect(entries[0].intersectionRatio).toBe(0);
-                        expect(entries[0].target).toBe(elements.target1);
+            IntersectionObserver.frameBudget = 2;
 
-                        done();
-                    }, timeout);
-                }
-            ], done);
+            observer = new IntersectionObserver(spy);
+
+            targets.forEach(target => observer.observe(target));
+
+            scheduler.flush();
+
+            expect(spy).not.toHaveBeenCalled();
+
+            // Latency of schedulers that are based on timers or idle callbacks.
+            time += 100;
+
+            scheduler.flush();
+
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(getEntries(spy.calls.mostRecent()).length).toBe(4);
         });
     });
 
-    describe('takeRecords', () => {
-        xit('supports getting entries before the callback is invoked', done => {
-            const spy = jasmine.createSpy();
-            let entries = [];
+    if (typeof window.ResizeObserver === 'function') {
+        describe('size changes', () => {
+            const defaultScheduler = IntersectionObserver.scheduler;
 
-            observer = new IntersectionObserver(spy, {root: elements.root});
+            let observer2 = null;
 
-            const intervalID = window.setInterval(() => {
-                entries.push(...observer.takeRecords());
-            }, 0);
+            afterEach(() => {
+                IntersectionObserver.scheduler = defaultScheduler;
 
-            observer.observe(elements.target3);
+                if (observer2) {
+                    observer2.disconnect();
+                }
 
-            setTimeout(() => {
-                window.clearInterval(intervalID);
+                observer2 = null;
+            });
 
-                expect(spy).not.toHaveBeenCalled();
-                expect(entries.length).toBe(1);
+            it('starts update cycle when size of target changes', done => {
+                const scheduler = createManualScheduler();
 
-                done();
-            }, timeout);
-        });
-    });
+                IntersectionObserver.scheduler = scheduler;
 
-    describe('unobserve', () => {
-        it('throws an error if no arguments were provided', () => {
-            observer = new IntersectionObserver(emptyFn);
+                observer = new IntersectionObserver(emptyFn);
+                observer.observe(elements.target1);
 
-            expect(() => {
-                observer.unobserve();
-            }).toThrowError(/1 argument required/i);
-        });
+                scheduler.flush();
 
-        it('throws an error if target is not Element', () => {
-            observer = new IntersectionObserver(emptyFn);
+                runSequence([
+                    // Wait for the update cycle to reach its' idle timeout.
+                    next => setTimeout(next, timeout),
+                    next => {
+                        scheduler.flush();
 
-            expect(() => {
-                observer.unobserve(false);
-            }).toThrowError(/Element/i);
+                        // Changes of stylesheets are not reported by MutationObserver.
+                        styles.sheet.insertRule(
+                            '#target-1 { width: 40px; height: 40px; }',
+                            styles.sheet.cssRules.length
+                        );
 
-            expect(() => {
-                observer.unobserve(null);
-            }).toThrowError(/Element/i);
+                        setTimeout(next, timeout);
+                    },
+                    next => {
+                        expect(scheduler.flush()).toBe(true);
 
-            expect(() => {
-                observer.unobserve({});
-            }).toThrowError(/Element/i);
+                        next();
+                    }
+                ], done);
+            });
 
-            expect(() => {
-                observer.unobserve(document.createTextNode(''));
-            }).toThrowError(/Element/i);
+            it('ends cycles started by size changes without waiting for idle timeout', done => {
+                const scheduler = createManualScheduler();
+
+                IntersectionObserver.scheduler = scheduler;
+
+                observer = new IntersectionObserver(emptyFn);
+                observer.observe(elements.target1);
+
+                scheduler.flush();
+
+                runSequence([
+                    next => setTimeout(next, timeout),
+                    next => {
+                        scheduler.flush();
+
+                        styles.sheet.insertRule(
+                            '#target-1 { width: 40px; height: 40px; }',
+                            styles.sheet.cssRules.length
+                        );
+
+                        setTimeout(next, timeout);
+                    },
+                    next => {
+                        // The first update detects changes, while
+                        // the next one finds that layout is settled.
+                        expect(scheduler.flush()).toBe(true);
+                        expect(scheduler.flush()).toBe(true);
+                        expect(scheduler.flush()).toBe(false);
+
+                        next();
+                    }
+                ], done);
+            });
+
+            it('tracks targets while any of observers observes them', () => {
+                spyOn(window.ResizeObserver.prototype, 'unobserve').and.callThrough();
+
+                observer = new IntersectionObserver(emptyFn);
+                observer2 = new IntersectionObserver(emptyFn);
+
+                observer.observe(elements.target1);
+                observer2.observe(elements.target1);
+
+                observer.disconnect();
+
+                expect(window.ResizeObserver.prototype.unobserve).not.toHaveBeenCalled();
+
+                observer2.unobserve(elements.target1);
+
+                expect(window.ResizeObserver.prototype.unobserve).toHaveBeenCalledWith(elements.target1);
+            });
+
+            it('tracks explicit roots', () => {
+                spyOn(window.ResizeObserver.prototype, 'observe').and.callThrough();
+
+                observer = new IntersectionObserver(emptyFn, {root: elements.root});
+                observer.observe(elements.target1);
+
+                expect(window.ResizeObserver.prototype.observe).toHaveBeenCalledWith(elements.root);
+            });
         });
+    }
 
-        it('removes targets from the internal store', done => {
-            const spy = jasmine.createSpy();
+    if (document.body.attachShadow) {
+        describe('shadow trees', () => {
+            const defaultScheduler = IntersectionObserver.scheduler;
 
-            observer = new IntersectionObserver(spy, {
-                root: elements.root
+            let scheduler,
+                time,
+                pane,
+                target;
+
+            /**
+             * Lets the update cycle reach its' idle timeout.
+             */
+            function endUpdateCycle() {
+                scheduler.flush();
+
+                time += 100;
+                scheduler.flush();
+            }
+
+            beforeEach(() => {
+                const host = document.createElement('div');
+
+                time = 0;
+
+                spyOn(window.performance, 'now').and.callFake(() => time);
+
+                scheduler = createManualScheduler();
+                IntersectionObserver.scheduler = scheduler;
+
+                pane = document.createElement('div');
+                target = document.createElement('div');
+
+                pane.style.cssText = 'overflow: auto; width: 100px; height: 100px;';
+                target.style.cssText = 'height: 20px; margin-top: 150px;';
+
+                pane.appendChild(target);
+                host.attachShadow({mode: 'open'}).appendChild(pane);
+                elements.root.appendChild(host);
             });
 
-            runSequence([done => {
-                    elements.target1.style.top = elements.target2.style.top = '0px';
-                    elements.target1.style.left = elements.target2.style.left = '0px';
+            afterEach(() => {
+                IntersectionObserver.scheduler = defaultScheduler;
+            });
 
-                    observer.observe(elements.target1);
-                    observer.observe(elements.target2);
+            it('updates targets when scroll containers of shadow trees are scrolled', () => {
+                observer = new IntersectionObserver(emptyFn);
 
-                    setTimeout(() => {
-                        const entries = getEntries(spy.calls.mostRecent());
+                observer.observe(elements.target1);
+                observer.observe(target);
 
-                        expect(spy).toHaveBeenCalledTimes(1);
-                        expect(entries.length).toBe(2);
+                endUpdateCycle();
 
-                        expect(entries[0].target).toBe(elements.target1);
-                        expect(entries[0].intersectionRatio).toBe(1);
+                spyOn(elements.target1, 'getBoundingClientRect').and.callThrough();
+                spyOn(target, 'getBoundingClientRect').and.callThrough();
 
-                        expect(entries[1].target).toBe(elements.target2);
-                        expect(entries[1].intersectionRatio).toBe(1);
+                // Event isn't composed, so it doesn't leave the shadow tree.
+                pane.dispatchEvent(new Event('scroll'));
 
-                        done();
-                    }, timeout);
-                }, done => {
-                    observer.unobserve(elements.target1);
+                expect(scheduler.flush()).toBe(true);
 
-                    elements.target1.style.top = elements.target2.style.top = '0px';
-                    elements.target1.style.left = elements.target2.style.left = '-40px';
+                expect(target.getBoundingClientRect).toHaveBeenCalled();
+                expect(elements.target1.getBoundingClientRect).not.toHaveBeenCalled();
+            });
 
-                    setTimeout(() => {
-                        const entries = getEntries(spy.calls.mostRecent());
+            it('updates targets when shadow trees are changed', done => {
+                /**
+                 * Checks that mutation of shadow tree has requested an update.
+                 */
+                function onMutation() {
+                    expect(scheduler.flush()).toBe(true);
 
-                        expect(spy).toHaveBeenCalledTimes(2);
-                        expect(entries.length).toBe(1);
+                    done();
+                }
 
-                        expect(entries[0].target).toBe(elements.target2);
-                        expect(entries[0].intersectionRatio).toBe(0);
-                        done();
-                    }, timeout);
-                }, done => {
-                    observer.unobserve(elements.target2);
+                /**
+                 * Changes shadow tree once mutations made by the setup are handled.
+                 */
+                function onSetUp() {
+                    endUpdateCycle();
 
-                    elements.target1.style.top = elements.target2.style.top = '0px';
-                    elements.target1.style.left = elements.target2.style.left = '0px';
+                    expect(scheduler.flush()).toBe(false);
 
-                    setTimeout(() => {
-                        expect(spy).toHaveBeenCalledTimes(2);
-                        done();
-                    }, timeout);
+                    pane.appendChild(document.createElement('div'));
+
+                    setTimeout(onMutation, 0);
                 }
-            ], done);
-        });
-    });
 
-    describe('disconnect', () => {
-        it('removes all targets and stops listening for changes', done => {
-            const spy = jasmine.createSpy();
+                observer = new IntersectionObserver(emptyFn);
+                observer.observe(target);
 
-            observer = new IntersectionObserver(spy, {root: elements.root});
+                setTimeout(onSetUp, 0);
+            });
 
-            runSequence([done => {
-                elements.target1.style.top = elements.target2.style.top = '0px';
-                elements.target1.style.left = elements.target2.style.left = '0px';
+            it('stops watching shadow trees once targets are not observed', () => {
+                observer = new IntersectionObserver(emptyFn);
 
                 observer.observe(elements.target1);
-                observer.observe(elements.target2);
+                observer.observe(target);
 
-                setTimeout(() => {
-                    const entries = getEntries(spy.calls.mostRecent());
+                endUpdateCycle();
 
-                    expect(spy).toHaveBeenCalledTimes(1);
-                    expect(entries.length).toBe(2);
+                observer.unobserve(target);
 
-                    expect(entries[0].target).toBe(elements.target1);
-                    expect(entries[0].intersectionRatio).toBe(1);
+                pane.dispatchEvent(new Event('scroll'));
 
-                    expect(entries[1].target).toBe(elements.target2);
-                    expect(entries[1].intersectionRatio).toBe(1);
+                expect(scheduler.flush()).toBe(false);
+            });
+        });
+    }
 
-                    done();
-                }, timeout);
-            }, done => {
-                observer.disconnect();
+    describe('scrolling', () => {
+        const defaultScheduler = IntersectionObserver.scheduler;
 
-                elements.target1.style.top = elements.target2.style.top = '0px';
-                elements.target1.style.left = elements.target2.style.left = '-40px';
+        let scheduler,
+            pane,
+            paneTarget;
 
-                setTimeout(() => {
-                    expect(spy).toHaveBeenCalledTimes(1);
-                    done();
-                }, timeout);
-            }], done);
+        beforeEach(done => {
+            scheduler = createManualScheduler();
+            IntersectionObserver.scheduler = scheduler;
+
+            pane = document.createElement('div');
+            paneTarget = document.createElement('div');
+
+            pane.style.cssText = 'overflow: auto; width: 100px; height: 100px;';
+            paneTarget.style.cssText = 'height: 20px; margin-top: 150px;';
+
+            pane.appendChild(paneTarget);
+            document.body.appendChild(pane);
+
+            observer = new IntersectionObserver(emptyFn);
+
+            observer.observe(elements.target1);
+            observer.observe(paneTarget);
+
+            scheduler.flush();
+
+            // Wait for the update cycle to reach its' idle timeout.
+            setTimeout(() => {
+                scheduler.flush();
+
+                spyOn(elements.target1, 'getBoundingClientRect').and.callThrough();
+                spyOn(paneTarget, 'getBoundingClientRect').and.callThrough();
+
+                done();
+            }, timeout);
+        });
+
+        afterEach(() => {
+            IntersectionObserver.scheduler = defaultScheduler;
+
+            document.body.removeChild(pane);
+        });
+
+        it('updates only targets of the scrolled element', () => {
+            pane.dispatchEvent(new Event('scroll'));
+            scheduler.flush();
+
+            expect(paneTarget.getBoundingClientRect).toHaveBeenCalled();
+            expect(elements.target1.getBoundingClientRect).not.toHaveBeenCalled();
+        });
+
+        it('updates all targets when the document is scrolled', () => {
+            pane.dispatchEvent(new Event('scroll'));
+            document.dispatchEvent(new Event('scroll'));
+            scheduler.flush();
+
+            expect(paneTarget.getBoundingClientRect).toHaveBeenCalled();
+            expect(elements.target1.getBoundingClientRect).toHaveBeenCalled();
+        });
+
+        it('updates all targets when other changes are pending', () => {
+            pane.dispatchEvent(new Event('scroll'));
+            observer.checkNow();
+            scheduler.flush();
+
+            expect(elements.target1.getBoundingClientRect).toHaveBeenCalled();
+        });
+
+        it('updates all targets of observers that track visibility', () => {
+            let time = 0;
+
+            spyOn(window.performance, 'now').and.callFake(() => time);
+
+            jasmine.clock().install();
+
+            observer.disconnect();
+
+            observer = new IntersectionObserver(emptyFn, {trackVisibility: true, delay: 100});
+            observer.observe(elements.target1);
+            observer.observe(paneTarget);
+
+            scheduler.flush();
+
+            // Let the update cycle reach its' idle timeout.
+            time = 60;
+            scheduler.flush();
+
+            elements.target1.getBoundingClientRect.calls.reset();
+
+            // Scrolling happens once the delay of observations has passed.
+            time = 200;
+
+            pane.dispatchEvent(new Event('scroll'));
+            scheduler.flush();
+
+            jasmine.clock().uninstall();
+
+            expect(elements.target1.getBoundingClientRect).toHaveBeenCalled();
         });
     });
 });
@@ -5,6 +5,8 @@ const keys = [
     'boundingClientRect',
     'intersectionRatio',
     'intersectionRect',
+    'isIntersecting',
+    'isVisible',
     'rootBounds',
     'time'
 ];
@@ -34,7 +36,9 @@ const entry = new IntersectionObserverEntry(
     intersecRect,
     0.5,
     rootBounds,
-    22
+    22,
+    true,
+    false
 );
 
 function isEqualRect(first, second) {
@@ -56,6 +60,8 @@ describe('IntersectionObserverEntry', () => {
             expect(entry.boundingClientRect).toBe(targetRect);
             expect(isEqualRect(entry.intersectionRect, intersecRect)).toBe(true);
             expect(entry.intersectionRatio).toBe(0.5);
+            expect(entry.isIntersecting).toBe(true);
+            expect(entry.isVisible).toBe(false);
             expect(isEqualRect(entry.rootBounds, rootBounds)).toBe(true);
             expect(entry.time).toEqual(22);
         });
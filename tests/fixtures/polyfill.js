@@ -0,0 +1,9 @@
+// Installs the polyfill inside of frames that are created by tests.
+
+import IntersectionObserver from '../../src/IntersectionObserver';
+import IntersectionObserverEntry from '../../src/IntersectionObserverEntry';
+
+// Native implementation needs to be replaced
+// unconditionally, so no feature detection here.
+window.IntersectionObserver = IntersectionObserver;
+window.IntersectionObserverEntry = IntersectionObserverEntry;
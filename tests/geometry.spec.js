@@ -0,0 +1,61 @@
+import {getRectangle} from '../src/geometry';
+
+let frame;
+
+function appendFrame(markup) {
+    frame = document.createElement('iframe');
+
+    frame.style.cssText = 'width: 100px; height: 50px; border: 0px;';
+
+    document.body.appendChild(frame);
+
+    const frameDoc = frame.contentDocument;
+
+    frameDoc.open();
+    frameDoc.write(markup);
+    frameDoc.close();
+
+    return frameDoc;
+}
+
+function removeFrame() {
+    document.body.removeChild(frame);
+
+    frame = null;
+}
+
+describe('geometry', () => {
+    afterEach(() => {
+        removeFrame();
+    });
+
+    describe('getRectangle', () => {
+        it('returns viewport of documents in standards mode', () => {
+            const frameDoc = appendFrame(
+                '<!DOCTYPE html><html><body style="margin: 0px;">' +
+                '<div style="height: 1000px;"></div></body></html>'
+            );
+            const rect = getRectangle(frameDoc.documentElement);
+
+            expect(rect.top).toEqual(0);
+            expect(rect.left).toEqual(0);
+            expect(rect.height).toEqual(frameDoc.documentElement.clientHeight);
+            expect(rect.height).toBeLessThan(1000);
+        });
+
+        it('returns viewport of documents in quirks mode', () => {
+            const frameDoc = appendFrame(
+                '<html><body style="margin: 0px;">' +
+                '<div style="height: 1000px;"></div></body></html>'
+            );
+            const rect = getRectangle(frameDoc.documentElement);
+
+            expect(frameDoc.compatMode).toEqual('BackCompat');
+
+            expect(rect.top).toEqual(0);
+            expect(rect.left).toEqual(0);
+            expect(rect.height).toEqual(frameDoc.body.clientHeight);
+            expect(rect.height).toBeLessThan(1000);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+import {finishLayoutPass, getLayoutData, startLayoutPass} from '../src/layoutCache';
+
+describe('layoutCache', () => {
+    let element;
+
+    beforeEach(() => {
+        element = document.createElement('div');
+    });
+
+    afterEach(() => {
+        finishLayoutPass();
+    });
+
+    it('computes data on every call outside of passes', () => {
+        const compute = jasmine.createSpy().and.returnValue('static');
+
+        expect(getLayoutData(element, 'position', compute)).toBe('static');
+        expect(getLayoutData(element, 'position', compute)).toBe('static');
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    it('computes data once per pass', () => {
+        const compute = jasmine.createSpy().and.returnValue(null);
+
+        startLayoutPass();
+
+        expect(getLayoutData(element, 'clip', compute)).toBe(null);
+        expect(getLayoutData(element, 'clip', compute)).toBe(null);
+        expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    it('separates data of different kinds and elements', () => {
+        const other = document.createElement('div');
+
+        startLayoutPass();
+
+        expect(getLayoutData(element, 'position', () => 'absolute')).toBe('absolute');
+        expect(getLayoutData(element, 'clip', () => 'clip')).toBe('clip');
+        expect(getLayoutData(other, 'position', () => 'fixed')).toBe('fixed');
+        expect(getLayoutData(element, 'position', () => 'fixed')).toBe('absolute');
+    });
+
+    it('drops data once pass is finished', () => {
+        const compute = jasmine.createSpy().and.returnValue('static');
+
+        startLayoutPass();
+        getLayoutData(element, 'position', compute);
+        finishLayoutPass();
+
+        startLayoutPass();
+        getLayoutData(element, 'position', compute);
+
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,142 @@
+import {
+    install,
+    uninstall,
+    flush,
+    setRect,
+    setViewport,
+    setIntersecting,
+    setVisible
+} from '../src/testing';
+
+let target,
+    observer = null;
+
+describe('testing', () => {
+    beforeEach(() => {
+        install();
+
+        target = document.createElement('div');
+
+        document.body.appendChild(target);
+    });
+
+    afterEach(() => {
+        if (observer) {
+            observer.disconnect();
+        }
+
+        observer = null;
+
+        document.body.removeChild(target);
+
+        uninstall();
+    });
+
+    it('replaces global IntersectionObserver', () => {
+        const Polyfill = window.IntersectionObserver;
+
+        uninstall();
+
+        expect(window.IntersectionObserver).not.toBe(Polyfill);
+
+        install();
+
+        expect(window.IntersectionObserver).toBe(Polyfill);
+    });
+
+    it('delivers entries only when flushed', () => {
+        const spy = jasmine.createSpy();
+
+        observer = new window.IntersectionObserver(spy);
+        observer.observe(target);
+
+        expect(spy).not.toHaveBeenCalled();
+
+        flush();
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('uses fake geometry', () => {
+        const spy = jasmine.createSpy();
+
+        setViewport(200, 100);
+        setRect(target, {left: 190, top: 0, width: 20, height: 20});
+
+        observer = new window.IntersectionObserver(spy);
+        observer.observe(target);
+
+        flush();
+
+        const [entry] = spy.calls.mostRecent().args[0];
+
+        expect(entry.intersectionRatio).toBe(0.5);
+        expect(entry.rootBounds.width).toBe(200);
+        expect(entry.rootBounds.height).toBe(100);
+        expect(entry.boundingClientRect.left).toBe(190);
+    });
+
+    it('moves targets to reach the specified ratio', () => {
+        const spy = jasmine.createSpy();
+
+        setRect(target, {left: 0, top: 0, width: 20, height: 20});
+
+        observer = new window.IntersectionObserver(spy, {threshold: [0, 0.25, 0.5, 1]});
+        observer.observe(target);
+
+        flush();
+
+        setIntersecting(target, 0.25);
+
+        let [entry] = spy.calls.mostRecent().args[0];
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(entry.isIntersecting).toBe(true);
+        expect(entry.intersectionRatio).toBe(0.25);
+
+        setIntersecting(target, 0);
+
+        [entry] = spy.calls.mostRecent().args[0];
+
+        expect(spy).toHaveBeenCalledTimes(3);
+        expect(entry.isIntersecting).toBe(false);
+        expect(entry.intersectionRatio).toBe(0);
+    });
+
+    it('ignores delays of observers', () => {
+        const spy = jasmine.createSpy();
+
+        observer = new window.IntersectionObserver(spy, {delay: 100});
+        observer.observe(target);
+
+        setIntersecting(target, 1);
+        setIntersecting(target, 0);
+
+        const [entry] = spy.calls.mostRecent().args[0];
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(entry.isIntersecting).toBe(false);
+    });
+
+    it('reports visibility of targets set up by tests', () => {
+        const spy = jasmine.createSpy();
+
+        observer = new window.IntersectionObserver(spy, {trackVisibility: true, delay: 100});
+        observer.observe(target);
+
+        setIntersecting(target, 1);
+
+        let [entry] = spy.calls.mostRecent().args[0];
+
+        expect(entry.isVisible).toBe(true);
+
+        setVisible(target, false);
+        flush();
+
+        [entry] = spy.calls.mostRecent().args[0];
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(entry.isIntersecting).toBe(true);
+        expect(entry.isVisible).toBe(false);
+    });
+});